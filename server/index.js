@@ -4,6 +4,20 @@ const { Server } = require('socket.io');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 
+// Shared game logic lives in the client source tree as ES modules, so it is
+// loaded with a dynamic import before the server starts listening
+let gameLogic = null;
+const gameLogicReady = Promise.all([
+  import('../src/game/gameState.js'),
+  import('../src/game/shotResolver.js'),
+  import('../src/game/rules.js'),
+  import('../src/game/goalReplay.js'),
+  import('../src/game/takeback.js'),
+  import('../src/constants.js')
+]).then(([gameState, shotResolver, rules, goalReplay, takeback, constants]) => {
+  gameLogic = { ...gameState, ...shotResolver, ...rules, ...goalReplay, ...takeback, constants };
+});
+
 const app = express();
 app.use(cors());
 const server = http.createServer(app);
@@ -19,7 +33,8 @@ const io = new Server(server, {
 // Game rooms storage
 const gameRooms = {};
 
-// Matchmaking queue
+// Matchmaking queue of { id, rules }; players are only matched with someone
+// who asked for the same rules
 let matchmakingQueue = [];
 
 // Interval to clean up abandoned rooms (every 5 minutes)
@@ -47,24 +62,33 @@ io.on('connection', (socket) => {
   console.log(`User connected: ${socket.id}`);
 
   // Join matchmaking queue
-  socket.on('joinMatchmaking', () => {
+  socket.on('joinMatchmaking', ({ rules: requestedRules } = {}) => {
     console.log(`Player ${socket.id} joined matchmaking queue`);
     
     // Check if player is already in queue
-    const existingIndex = matchmakingQueue.findIndex(id => id === socket.id);
+    const existingIndex = matchmakingQueue.findIndex(entry => entry.id === socket.id);
     if (existingIndex !== -1) {
       console.log(`Player ${socket.id} is already in matchmaking queue`);
       return;
     }
+
+    const rules = readRules(socket, requestedRules);
+    if (!rules) return;
     
     // Add player to queue
-    matchmakingQueue.push(socket.id);
+    const entry = { id: socket.id, rules };
+    matchmakingQueue.push(entry);
     socket.emit('joinedMatchmaking');
     
-    // If we have at least 2 players in queue, match them
-    if (matchmakingQueue.length >= 2) {
-      const player1Id = matchmakingQueue.shift();
-      const player2Id = matchmakingQueue.shift();
+    // Match them with the longest waiting player who wants the same rules
+    const rulesKey = JSON.stringify(rules);
+    const opponent = matchmakingQueue.find(other => (
+      other !== entry && JSON.stringify(other.rules) === rulesKey
+    ));
+    if (opponent) {
+      matchmakingQueue = matchmakingQueue.filter(other => other !== entry && other !== opponent);
+      const player1Id = opponent.id;
+      const player2Id = entry.id;
       
       // Create a new room for the matched players
       const roomId = uuidv4().substring(0, 6);
@@ -81,7 +105,14 @@ io.on('connection', (socket) => {
         spectators: [],
         turnTimer: null,
         turnStartTime: null,
-        turnTimeLimit: 30 // 30 seconds per turn
+        rules, // Match rules, copied into each game state
+        matchStartedAt: null,
+        matchClockTimer: null,
+        resolvingShot: false, // True while clients play back a resolved shot
+        shotTimer: null, // Ends the playback of a resolved shot
+        goalReplayStartsAt: null, // When the goal replay of the shot begins, if it scored
+        history: [], // Turn history for takebacks
+        takebackRequest: null // { team } while a takeback waits for the opponent
       };
       
       // Join both players to the room
@@ -97,7 +128,7 @@ io.on('connection', (socket) => {
         player2Socket.emit('matchFound', { roomId, playerId: player2Id, team: 2 });
         
         // Auto-start the game immediately when players are matched
-        io.to(roomId).emit('gameStart');
+        startGame(roomId);
         
         // Start turn timer for Team 1 (first turn)
         startTurnTimer(roomId, 1);
@@ -107,11 +138,11 @@ io.on('connection', (socket) => {
       } else {
         // If one of the sockets is no longer connected, put the other back in queue
         if (player1Socket) {
-          matchmakingQueue.unshift(player1Id);
+          matchmakingQueue.unshift(opponent);
           player1Socket.emit('matchmakingContinued');
         }
         if (player2Socket) {
-          matchmakingQueue.unshift(player2Id);
+          matchmakingQueue.unshift(entry);
           player2Socket.emit('matchmakingContinued');
         }
         
@@ -123,7 +154,7 @@ io.on('connection', (socket) => {
   
   // Leave matchmaking queue
   socket.on('leaveMatchmaking', () => {
-    const index = matchmakingQueue.indexOf(socket.id);
+    const index = matchmakingQueue.findIndex(entry => entry.id === socket.id);
     if (index !== -1) {
       matchmakingQueue.splice(index, 1);
       socket.emit('leftMatchmaking');
@@ -132,14 +163,28 @@ io.on('connection', (socket) => {
   });
 
   // Create a new game room (manual room creation still available)
-  socket.on('createRoom', () => {
+  socket.on('createRoom', ({ rules: requestedRules } = {}) => {
+    const rules = readRules(socket, requestedRules);
+    if (!rules) return;
+
     const roomId = uuidv4().substring(0, 6); // Generate a short room ID
     
     gameRooms[roomId] = {
       id: roomId,
       players: [{ id: socket.id, team: 1, ready: false }],
       gameState: null,
-      spectators: []
+      lastActivity: Date.now(),
+      spectators: [],
+      turnTimer: null,
+      turnStartTime: null,
+      rules,
+      matchStartedAt: null,
+      matchClockTimer: null,
+      resolvingShot: false,
+      shotTimer: null,
+      goalReplayStartsAt: null,
+      history: [],
+      takebackRequest: null
     };
     
     socket.join(roomId);
@@ -161,7 +206,7 @@ io.on('connection', (socket) => {
       // Room is full, join as spectator
       room.spectators.push(socket.id);
       socket.join(roomId);
-      socket.emit('joinedAsSpectator', { roomId });
+      socket.emit('joinedAsSpectator', { roomId, gameState: room.gameState });
       io.to(roomId).emit('spectatorJoined', { spectatorId: socket.id });
       return;
     }
@@ -190,92 +235,137 @@ io.on('connection', (socket) => {
       const allReady = room.players.length === 2 && room.players.every(p => p.ready);
       if (allReady) {
         // Start the game
-        io.to(roomId).emit('gameStart');
+        startGame(roomId);
+        startTurnTimer(roomId, 1);
         console.log(`Game started in room ${roomId}`);
       }
     }
   });
 
-  // Game move
+  // Game move - the server validates it, simulates it to rest and
+  // broadcasts the outcome to players and spectators
   socket.on('gameMove', ({ roomId, move }) => {
     const room = gameRooms[roomId];
     if (!room) {
       console.log(`Error: Room ${roomId} not found for move`);
       return;
     }
-    
-    // Validate move data to ensure it has all required fields
-    if (!move || !move.playerId) {
-      console.log(`Error: Invalid move data in room ${roomId}`);
+
+    const player = room.players.find(p => p.id === socket.id);
+    if (!player) {
+      socket.emit('moveRejected', { reason: 'You are not a player in this room' });
       return;
     }
-    
+
+    if (room.resolvingShot) {
+      socket.emit('moveRejected', { reason: 'Previous shot is still being played' });
+      return;
+    }
+
+    const rejection = gameLogic.validateMove(room.gameState, move, player.team);
+    if (rejection) {
+      console.log(`Rejected move in room ${roomId} by player ${socket.id}: ${rejection}`);
+      socket.emit('moveRejected', { reason: rejection });
+      return;
+    }
+
     // Update last activity timestamp
     room.lastActivity = Date.now();
     room.lastMove = move;
-    
-    // No need to reset timer here as it will be reset in the gameStateUpdate event
-    // when the turn actually changes after the pieces stop moving
-    
-    // Move contains: playerId, playerPos, direction, power
-    socket.to(roomId).emit('opponentMove', { move });
-    console.log(`Move in room ${roomId} by player ${socket.id} - Player: ${move.playerId}`);
+
+    // Stop the clock while the shot plays out
+    clearTurnTimer(room);
+
+    // A shot answers any takeback request still open
+    room.takebackRequest = null;
+    room.history = gameLogic.recordTurn(room.history, room.gameState);
+
+    const resolution = gameLogic.resolveShot(withMatchClock(room), {
+      playerId: move.playerId,
+      direction: move.direction,
+      power: move.power,
+      spin: move.spin ?? 0
+    });
+    room.gameState = resolution.finalState;
+    room.resolvingShot = true;
+
+    io.to(roomId).emit('shotResolved', resolution);
+    console.log(`Move in room ${roomId} by player ${socket.id} - Player: ${move.playerId}, resolved in ${resolution.ticks} ticks`);
+
+    // Continue once the clients have finished playing the shot back, and
+    // the goal replay if it scored
+    const playbackMs = resolution.ticks * gameLogic.constants.FIXED_TIMESTEP_MS;
+    const goalReplayMs = gameLogic.getGoalReplayDuration(gameLogic.createGoalReplay(resolution));
+    room.goalReplayStartsAt = goalReplayMs > 0 ? Date.now() + playbackMs : null;
+    room.shotTimer = setTimeout(() => {
+      finishShot(roomId);
+    }, playbackMs + goalReplayMs);
   });
 
-  // Game state update - only used for critical state synchronization
-  socket.on('gameStateUpdate', ({ roomId, gameState }) => {
+  // Skip the goal replay - ends it for everyone in the room
+  socket.on('skipGoalReplay', ({ roomId }) => {
     const room = gameRooms[roomId];
-    if (!room) {
-      console.log(`Error: Room ${roomId} not found for state update`);
+    if (!room || !room.players.some(p => p.id === socket.id)) return;
+
+    // Only while the replay is showing
+    if (!room.resolvingShot || room.goalReplayStartsAt === null || Date.now() < room.goalReplayStartsAt) {
       return;
     }
-    
-    // Update room activity time
-    room.lastActivity = Date.now();
-    
-    // Store previous team to check for turn change
-    const prevTeam = room.gameState ? room.gameState.currentTeam : null;
-    const currentTeam = gameState.currentTeam;
-    
-    // Store the current game state for potential reconnections
-    room.gameState = gameState;
-    
-    // Reset turn timer if the team has changed
-    if (prevTeam !== null && prevTeam !== currentTeam) {
-      console.log(`Turn changed from Team ${prevTeam} to Team ${currentTeam} - Resetting timer`);
-      startTurnTimer(roomId, currentTeam);
-    }
-    
-    // Send the state update to the other player
-    socket.to(roomId).emit('gameStateUpdated', { gameState });
-    console.log(`Game state updated in room ${roomId} - Current team: ${gameState.currentTeam}`);
+
+    io.to(roomId).emit('goalReplaySkipped');
+    finishShot(roomId);
   });
 
-  // Game over
-  socket.on('gameOver', ({ roomId, winner }) => {
+  // Ask the opponent to let this player take back their last shot
+  socket.on('requestTakeback', ({ roomId }) => {
     const room = gameRooms[roomId];
     if (!room) return;
-    
-    // Notify all players in the room about the game end and winner
-    io.to(roomId).emit('gameEnded', { winner });
-    console.log(`Game ended in room ${roomId}, winner: Team ${winner}`);
-    
-    // Clear turn timer if it exists
-    if (room.turnTimer) {
-      clearTimeout(room.turnTimer);
-      room.turnTimer = null;
+
+    const player = room.players.find(p => p.id === socket.id);
+    if (!player) return;
+
+    let rejection;
+    if (!room.gameState) {
+      rejection = 'No game in progress';
+    } else if (room.resolvingShot) {
+      rejection = 'Wait for the shot to finish';
+    } else if (room.takebackRequest) {
+      rejection = 'A takeback is already waiting for an answer';
+    } else {
+      rejection = gameLogic.checkTakeback(room.gameState, room.history, player.team);
     }
-    
-    // Reset player ready status for potential rematch
-    room.players.forEach(player => {
-      player.ready = false;
-    });
-    
-    // Reset game state but keep the room and players
-    room.gameState = null;
-    
-    // Inform players they can play again with the 'Main Menu' button
-    io.to(roomId).emit('readyForMainMenu');
+    if (rejection) {
+      socket.emit('takebackRejected', { reason: rejection });
+      return;
+    }
+
+    room.takebackRequest = { team: player.team };
+    io.to(roomId).emit('takebackRequested', { team: player.team });
+  });
+
+  // The opponent accepts or declines a takeback request
+  socket.on('answerTakeback', ({ roomId, accept }) => {
+    const room = gameRooms[roomId];
+    if (!room || !room.takebackRequest) return;
+
+    const player = room.players.find(p => p.id === socket.id);
+    const { team } = room.takebackRequest;
+    if (!player || player.team === team || !room.gameState) return;
+
+    room.takebackRequest = null;
+    if (!accept) {
+      io.to(roomId).emit('takebackDeclined', { team });
+      return;
+    }
+
+    const result = gameLogic.takeBack(withMatchClock(room), room.history, team);
+    room.gameState = result.state;
+    room.history = result.history;
+    room.lastActivity = Date.now();
+
+    io.to(roomId).emit('takebackAccepted', { team, gameState: room.gameState });
+    console.log(`Team ${team} took back a shot in room ${roomId}`);
+    startTurnTimer(roomId, room.gameState.currentTeam);
   });
 
   // Leave room
@@ -317,7 +407,7 @@ io.on('connection', (socket) => {
     }
     
     // Remove from matchmaking queue if present
-    const queueIndex = matchmakingQueue.findIndex(id => id === socket.id);
+    const queueIndex = matchmakingQueue.findIndex(entry => entry.id === socket.id);
     if (queueIndex !== -1) {
       matchmakingQueue.splice(queueIndex, 1);
       console.log(`Removed disconnected player ${socket.id} from matchmaking queue`);
@@ -325,37 +415,171 @@ io.on('connection', (socket) => {
   });
 });
 
-// Turn timer functions
-function startTurnTimer(roomId, currentTeam) {
+// Match rules a player asked for, checked by the game logic. Only rules the
+// game knows are taken; anything invalid is reported to the player.
+function readRules(socket, requestedRules = {}) {
+  const overrides = {};
+  for (const key of Object.keys(gameLogic.constants.DEFAULT_MATCH_RULES)) {
+    if (requestedRules && key in requestedRules) overrides[key] = requestedRules[key];
+  }
+
+  try {
+    return gameLogic.createRules(overrides);
+  } catch (error) {
+    socket.emit('error', { message: error.message });
+    return null;
+  }
+}
+
+// Start a match in a room with a fresh server-side game state
+function startGame(roomId) {
   const room = gameRooms[roomId];
   if (!room) return;
 
-  // Clear any existing timer
+  room.gameState = gameLogic.initialGameState(gameLogic.constants.GAME_MODES.ONLINE, {
+    rules: room.rules
+  });
+  clearShotTimer(room);
+  room.resolvingShot = false;
+  room.history = [];
+  room.takebackRequest = null;
+  room.matchStartedAt = Date.now();
+  io.to(roomId).emit('gameStart', { gameState: room.gameState });
+
+  // When the clock runs out between shots the match is decided right away;
+  // during a shot it is decided once the shot has played out
+  clearMatchClock(room);
+  if (room.rules.matchTimeMs !== null) {
+    room.matchClockTimer = setTimeout(() => {
+      const currentRoom = gameRooms[roomId];
+      if (!currentRoom) return;
+      currentRoom.matchClockTimer = null;
+      if (!currentRoom.gameState || currentRoom.resolvingShot) return;
+      if (applyMatchRules(roomId)) return;
+      startTurnTimer(roomId, currentRoom.gameState.currentTeam);
+    }, room.rules.matchTimeMs);
+  }
+}
+
+// Move on once a shot has played out: decide the match or start the next turn
+function finishShot(roomId) {
+  const room = gameRooms[roomId];
+  if (!room || !room.resolvingShot) return;
+
+  clearShotTimer(room);
+  room.resolvingShot = false;
+
+  if (!applyMatchRules(roomId)) {
+    startTurnTimer(roomId, room.gameState.currentTeam);
+  }
+}
+
+function clearShotTimer(room) {
+  if (room.shotTimer) {
+    clearTimeout(room.shotTimer);
+    room.shotTimer = null;
+  }
+  room.goalReplayStartsAt = null;
+}
+
+// Game state of a room with the match clock brought up to date
+function withMatchClock(room) {
+  return { ...room.gameState, elapsedMs: Date.now() - room.matchStartedAt };
+}
+
+function clearMatchClock(room) {
+  if (room.matchClockTimer) {
+    clearTimeout(room.matchClockTimer);
+    room.matchClockTimer = null;
+  }
+}
+
+// Check the match rules for a room at rest. Ends the match and returns true
+// if it is over; announces golden goal overtime when it starts.
+function applyMatchRules(roomId) {
+  const room = gameRooms[roomId];
+  const { state, result } = gameLogic.checkMatchEnd(withMatchClock(room));
+  const overtimeStarted = state.overtime && !room.gameState.overtime;
+  room.gameState = state;
+
+  if (result) {
+    endGame(roomId, result);
+    return true;
+  }
+
+  if (overtimeStarted) {
+    io.to(roomId).emit('overtimeStarted', { gameState: state });
+  }
+  return false;
+}
+
+// End a match and let the players return to the menu
+function endGame(roomId, result) {
+  const room = gameRooms[roomId];
+  if (!room) return;
+
+  // Notify all players in the room about the game end and winner
+  io.to(roomId).emit('gameEnded', {
+    winner: result.winner,
+    draw: result.draw,
+    reason: result.reason,
+    gameState: room.gameState
+  });
+  console.log(`Game ended in room ${roomId}, ${result.draw ? 'draw' : `winner: Team ${result.winner}`} (${result.reason})`);
+
+  clearTurnTimer(room);
+  clearMatchClock(room);
+
+  // Reset player ready status for potential rematch
+  room.players.forEach(player => {
+    player.ready = false;
+  });
+
+  // Reset game state but keep the room and players
+  clearShotTimer(room);
+  room.gameState = null;
+  room.resolvingShot = false;
+  room.history = [];
+  room.takebackRequest = null;
+
+  // Inform players they can play again with the 'Main Menu' button
+  io.to(roomId).emit('readyForMainMenu');
+}
+
+// Turn timer functions
+function clearTurnTimer(room) {
   if (room.turnTimer) {
     clearTimeout(room.turnTimer);
     room.turnTimer = null;
   }
+  room.turnStartTime = null;
+}
+
+function startTurnTimer(roomId, currentTeam) {
+  const room = gameRooms[roomId];
+  if (!room) return;
+
+  // Clear any existing timer
+  clearTurnTimer(room);
 
   // Set the turn start time
   room.turnStartTime = Date.now();
   
   // Notify players about the turn start and timer
-  io.to(roomId).emit('turnTimerStarted', { team: currentTeam, timeLimit: room.turnTimeLimit });
+  io.to(roomId).emit('turnTimerStarted', { team: currentTeam, timeLimit: room.rules.turnTimeLimit });
   
+  // Matches without a turn limit have no timer
+  if (room.rules.turnTimeLimit === null) return;
+
   // Set a new timer
   room.turnTimer = setTimeout(() => {
     // Time's up! Current team loses
     handleTurnTimeout(roomId, currentTeam);
-  }, room.turnTimeLimit * 1000);
+  }, room.rules.turnTimeLimit * 1000);
   
   console.log(`Turn timer started for Team ${currentTeam} in room ${roomId}`);
 }
 
-function resetTurnTimer(roomId, nextTeam) {
-  // Simply start a new timer for the next team
-  startTurnTimer(roomId, nextTeam);
-}
-
 function handleTurnTimeout(roomId, currentTeam) {
   const room = gameRooms[roomId];
   if (!room) return;
@@ -374,18 +598,21 @@ function handleTurnTimeout(roomId, currentTeam) {
   // Game over - winner is the other team
   io.to(roomId).emit('gameEnded', { winner: winnerTeam });
   
-  // Clear the timer
-  room.turnTimer = null;
-  room.turnStartTime = null;
+  // The match is over, stop accepting moves; the turn timer starts again
+  // when both players are ready for a rematch
+  clearTurnTimer(room);
+  clearMatchClock(room);
+  clearShotTimer(room);
+  room.gameState = null;
+  room.resolvingShot = false;
+  room.history = [];
+  room.takebackRequest = null;
   
   // Reset player ready status for potential rematch
   room.players.forEach(player => {
     player.ready = false;
   });
   
-  // Use resetTurnTimer for any rematch to properly reset the timer
-  resetTurnTimer(roomId, currentTeam === 1 ? 2 : 1);
-  
   io.to(roomId).emit('readyForRematch');
 }
 
@@ -428,8 +655,13 @@ function leaveRoom(socket, roomId) {
   }
 }
 
-// Start the server
+// Start the server once the shared game logic is loaded
 const PORT = process.env.PORT || 3001;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+gameLogicReady.then(() => {
+  server.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+}).catch(error => {
+  console.error('Could not load the game logic, the server is not starting:', error);
+  process.exit(1);
 });
@@ -1,13 +1,80 @@
-import React, { useState, useRef, useEffect, useCallback } from "react";
+import React, {
+  useState,
+  useRef,
+  useEffect,
+  useCallback,
+  useMemo,
+} from "react";
 
 // Import components
 import GameMenu from "./components/GameMenu";
 import MultiplayerMenu from "./components/MultiplayerMenu";
 import WaitingRoom from "./components/WaitingRoom";
 import MatchmakingQueue from "./components/MatchmakingQueue";
+import FieldView from "./components/FieldView";
+import ReplayViewer from "./components/ReplayViewer";
+import ReplayActions from "./components/ReplayActions";
+import SandboxPanel from "./components/SandboxPanel";
+
+// Import game logic and physics
+import {
+  initialGameState,
+  resolveStepEvents,
+  takeShot,
+} from "./game/gameState";
+import {
+  checkMatchEnd,
+  tickMatchClock,
+  getRemainingTime,
+  getAimAssist,
+  otherTeam,
+  MATCH_END_REASONS,
+} from "./game/rules";
+import { predictShot } from "./physics/aimPreview";
+import { sampleKeyframes, snapshotPositions } from "./game/shotResolver";
+import {
+  createGoalReplay,
+  getGoalReplayDuration,
+  getGoalReplayTick,
+} from "./game/goalReplay";
+import {
+  createReplay,
+  recordShot,
+  finishReplay,
+  rewindReplay,
+} from "./game/replay";
+import { replayFromText, REPLAY_LINK_PARAM } from "./game/replayFile";
+import {
+  recordTurn,
+  getTakebackTeam,
+  getTakebacksLeft,
+  checkTakeback,
+  takeBack,
+} from "./game/takeback";
+import {
+  getPlacement,
+  movePiece,
+  addPiece,
+  removePiece,
+  setTeamToPlay,
+  getSandboxPosition,
+  loadSandboxPosition,
+} from "./game/sandbox";
+import {
+  createFixedStepper,
+  runFixedSteps,
+  interpolatePieces,
+} from "./physics/fixedStep";
+import { createPhysicsBackend } from "./physics/backend";
+import {
+  createViewTransform,
+  getFollowCam,
+  screenToWorld,
+  getPitchOffset,
+} from "./view/viewTransform";
 
 // Import AI logic
-import { calculateAIMove, executeAIMove } from "./ai/GameAI";
+import { executeAIMove, getAIProfile } from "./ai/GameAI";
 
 // Import Socket.IO service
 import {
@@ -19,135 +86,140 @@ import {
   leaveMatchmaking,
   setPlayerReady as socketSetPlayerReady,
   sendGameMove,
-  updateGameState,
-  sendGameOver,
+  skipGoalReplay as socketSkipGoalReplay,
+  requestTakeback,
+  answerTakeback,
   getSocketId,
 } from "./services/socketService";
+import { requestAIMove, cancelAIMove } from "./services/aiService";
+import {
+  saveMatch,
+  loadMatch,
+  deleteSave,
+  listSaves,
+  pickSaveSlot,
+  listPositions,
+  savePosition,
+  deletePosition,
+  loadAiDifficulty,
+  saveAiDifficulty,
+} from "./services/saveService";
 
 // Import game images
-import fieldImage from "./assets/images/field.png";
 import playerImage from "./assets/images/player.png";
 import opponentImage from "./assets/images/opponent.png";
 import ballImage from "./assets/images/ball.png";
 
 // Import constants
 import {
-  PLAYER_SIZE,
-  BALL_SIZE,
   MAX_PULL_DISTANCE,
   POWER_FACTOR,
-  DAMPING_FACTOR,
-  WALL_BOUNCE_FACTOR,
-  BALL_COLLISION_BOUNCE_FACTOR,
-  MIN_VELOCITY_THRESHOLD,
+  MAX_SPIN,
+  SPIN_GESTURE_DISTANCE,
+  FIXED_TIMESTEP_MS,
   ARROW_COLOR,
   ARROW_MAX_WIDTH,
-  GOAL_HEIGHT,
   GAME_MODES,
-  AI_DIFFICULTY,
   DEFAULT_AI_DIFFICULTY,
+  DEFAULT_PHYSICS_BACKEND,
+  DEFAULT_ARENA,
+  DEFAULT_MATCH_RULES,
+  VIEW_RESERVED_HEIGHT,
   AI_POWER_SCALING_FACTOR,
+  KICKOFF_RULES,
+  PENALTIES,
+  AIM_ASSIST,
+  AIM_DEFLECTION_LENGTH,
+  GOAL_REPLAY_ZOOM,
 } from "./constants";
 
-// Team and player setup
-const initialGameState = (gameMode = GAME_MODES.VS_PLAYER) => {
-  // Vertical field for mobile - swap width and height
-  const fieldWidth = 400;
-  const fieldHeight = 600;
-
-  // Soccer ball
-  const ball = {
-    id: "ball",
-    pos: { x: fieldWidth / 2, y: fieldHeight / 2 },
-    vel: { x: 0, y: 0 },
-    size: BALL_SIZE,
-    color: "bg-white",
-    isPlayer: false,
-    team: null,
-  };
+// Text for the way a match was decided, shown on the game over screen
+const describeMatchEnd = (reason, rules) => {
+  switch (reason) {
+    case MATCH_END_REASONS.TARGET_GOALS:
+      return `First to ${rules.targetGoals} goals`;
+    case MATCH_END_REASONS.TIME:
+      return "Time's up";
+    case MATCH_END_REASONS.TURNS:
+      return `All ${rules.maxTurns} turns played`;
+    case MATCH_END_REASONS.GOLDEN_GOAL:
+      return "Golden goal!";
+    case MATCH_END_REASONS.DRAW:
+      return "Level at the final whistle";
+    default:
+      return null;
+  }
+};
 
-  // Team 1 (Red) - Now at the bottom of the field
-  const team1Players = [
-    {
-      id: "team1-player1",
-      pos: { x: fieldWidth * 0.25, y: fieldHeight * 0.8 },
-      vel: { x: 0, y: 0 },
-      size: PLAYER_SIZE,
-      color: "bg-red-500",
-      isPlayer: true,
-      team: 1,
-    },
-    {
-      id: "team1-player2",
-      pos: { x: fieldWidth * 0.5, y: fieldHeight * 0.8 },
-      vel: { x: 0, y: 0 },
-      size: PLAYER_SIZE,
-      color: "bg-red-500",
-      isPlayer: true,
-      team: 1,
-    },
-    {
-      id: "team1-player3",
-      pos: { x: fieldWidth * 0.75, y: fieldHeight * 0.8 },
-      vel: { x: 0, y: 0 },
-      size: PLAYER_SIZE,
-      color: "bg-red-500",
-      isPlayer: true,
-      team: 1,
-    },
-  ];
+// Name of a player piece, e.g. "Red #2"
+const describePiece = (pieceId) => {
+  const match = /^team(\d)-player(\d+)$/.exec(pieceId || "");
+  if (!match) return null;
+  return `${match[1] === "1" ? "Red" : "Blue"} #${match[2]}`;
+};
 
-  // Team 2 (Blue) - Now at the top of the field
-  const team2Players = [
-    {
-      id: "team2-player1",
-      pos: { x: fieldWidth * 0.25, y: fieldHeight * 0.2 },
-      vel: { x: 0, y: 0 },
-      size: PLAYER_SIZE,
-      color: "bg-blue-500",
-      isPlayer: true,
-      team: 2,
-    },
-    {
-      id: "team2-player2",
-      pos: { x: fieldWidth * 0.5, y: fieldHeight * 0.2 },
-      vel: { x: 0, y: 0 },
-      size: PLAYER_SIZE,
-      color: "bg-blue-500",
-      isPlayer: true,
-      team: 2,
-    },
-    {
-      id: "team2-player3",
-      pos: { x: fieldWidth * 0.75, y: fieldHeight * 0.2 },
-      vel: { x: 0, y: 0 },
-      size: PLAYER_SIZE,
-      color: "bg-blue-500",
-      isPlayer: true,
-      team: 2,
-    },
-  ];
+// Announcement for a goal, crediting the scorer
+const describeGoal = (goal) => {
+  const scorer = describePiece(goal.scorerId);
+  if (goal.ownGoal) return `Own goal by ${scorer}!`;
+  return scorer ? `Goal! ${scorer} scores` : "Goal!";
+};
+
+// Announcement for a foul
+const describeFoul = (foul, rules) =>
+  `Foul! ${describePiece(foul.pieceId)} entered its own goal area${
+    rules.ownAreaPenalty === PENALTIES.FREE_SHOT ? " - free shot" : ""
+  }`;
+
+// Shot described by a drag: pulling back from the start point launches the
+// piece the other way. Returns null for drags too short to shoot.
+const getDragShot = (startDragPos, currentDragPos, dragSpin) => {
+  const dx = startDragPos.x - currentDragPos.x;
+  const dy = startDragPos.y - currentDragPos.y;
+  const distance = Math.min(Math.sqrt(dx * dx + dy * dy), MAX_PULL_DISTANCE);
+
+  if (distance < 5) return null;
 
+  const angle = Math.atan2(dy, dx);
   return {
-    balls: [ball, ...team1Players, ...team2Players],
-    currentTeam: 1, // Team 1 starts
-    selectedPlayerId: null, // No player selected initially
-    isMoving: false,
-    score: { team1: 0, team2: 0 },
-    gameMode: gameMode,
-    aiDifficulty: AI_DIFFICULTY.HARD,
+    direction: { x: Math.cos(angle), y: Math.sin(angle) },
+    power: distance * POWER_FACTOR,
+    spin: dragSpin * MAX_SPIN,
   };
 };
 
+// Match clock as m:ss
+const formatClock = (ms) => {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, "0")}`;
+};
+
 function SoccerStarsGame() {
   // State initialization
   const [showGameModeSelection, setShowGameModeSelection] = useState(true);
   const [gameMode, setGameMode] = useState(GAME_MODES.VS_PLAYER);
-  // Always use hard difficulty
-  const [aiDifficulty] = useState(AI_DIFFICULTY.HARD);
+  // AI difficulty for the next match, chosen in the menu and remembered
+  const [aiDifficulty, setAiDifficulty] = useState(loadAiDifficulty);
+  // Team the human plays against the AI
+  const [humanTeam, setHumanTeam] = useState(1);
+  // Difficulty of each AI when two AIs play each other
+  const [exhibitionDifficulty, setExhibitionDifficulty] = useState({
+    1: DEFAULT_AI_DIFFICULTY,
+    2: DEFAULT_AI_DIFFICULTY,
+  });
   const [gameState, setGameState] = useState(() =>
     initialGameState(GAME_MODES.VS_PLAYER)
   );
+  // Physics backend for the next local match, chosen in the menu
+  const [physicsBackend, setPhysicsBackend] = useState(
+    DEFAULT_PHYSICS_BACKEND
+  );
+  // Arena for the next local match, chosen in the menu
+  const [arenaId, setArenaId] = useState(DEFAULT_ARENA);
+  // Match rules for the next match, local or online, chosen in the menu
+  const [matchRules, setMatchRules] = useState(DEFAULT_MATCH_RULES);
 
   // Turn timer state
   const [turnTimeLeft, setTurnTimeLeft] = useState(null);
@@ -156,10 +228,28 @@ function SoccerStarsGame() {
   const [isDragging, setIsDragging] = useState(false);
   const [startDragPos, setStartDragPos] = useState({ x: 0, y: 0 });
   const [currentDragPos, setCurrentDragPos] = useState({ x: 0, y: 0 });
-  const [isAiProcessing, setIsAiProcessing] = useState(false);
+  const [dragSpin, setDragSpin] = useState(0); // Share of MAX_SPIN, -1 to 1
+  const [aiProgress, setAiProgress] = useState(null); // Share of the AI's search done while it thinks
   const [cameraShake, setCameraShake] = useState(false);
+  const [announcement, setAnnouncement] = useState(null); // Goal or foul message over the board
+  const [goalReplay, setGoalReplay] = useState(null); // Slow-motion replay of the goal just scored
+  const [goalReplayTick, setGoalReplayTick] = useState(0); // Shot tick the goal replay is showing
+  const [followCam, setFollowCam] = useState(true); // Goal replay camera follows the ball
+  const [renderAlpha, setRenderAlpha] = useState(0); // Interpolation between fixed steps
   const [gameOver, setGameOver] = useState(false);
   const [winner, setWinner] = useState(null);
+  const [endReason, setEndReason] = useState(null); // How the match was decided
+  const [replay, setReplay] = useState(null); // Replay log of the current match
+  const [showReplay, setShowReplay] = useState(false);
+  const [turnHistory, setTurnHistory] = useState([]); // States before each local shot, for takebacks
+  const [takebackRequest, setTakebackRequest] = useState(null); // { team } of an online takeback awaiting an answer
+  const [savedMatches, setSavedMatches] = useState([]); // Local matches that can be resumed
+
+  // Sandbox editor
+  const [sandboxEditing, setSandboxEditing] = useState(false); // Pieces are being placed rather than shot
+  const [editDrag, setEditDrag] = useState(null); // { id, pos } of the piece being moved
+  const [editSelectedId, setEditSelectedId] = useState(null); // Piece picked for removal
+  const [sandboxPositions, setSandboxPositions] = useState([]); // Saved positions
 
   // Online multiplayer states
   const [showMultiplayerMenu, setShowMultiplayerMenu] = useState(false);
@@ -174,15 +264,54 @@ function SoccerStarsGame() {
   const [opponentReady, setOpponentReady] = useState(false);
   const [isOnlineGameStarted, setIsOnlineGameStarted] = useState(false);
   const [isMyTurn, setIsMyTurn] = useState(true); // For online mode
+  const [playback, setPlayback] = useState(null); // Server-resolved shot being played back
   const [disconnectMessage, setDisconnectMessage] = useState(null); // For forfeit messages
   const [showNotification, setShowNotification] = useState(false); // For notifications
   const [notificationMessage, setNotificationMessage] = useState(""); // Notification message
 
   // Refs
   const containerRef = useRef(null);
+  const boardAreaRef = useRef(null); // Space the board is fitted into
   const activePlayerRef = useRef(null);
   const animationFrameRef = useRef(null);
   const aiTimeoutRef = useRef(null);
+  const aiProcessingRef = useRef(false); // AI move waiting on its reaction delay or being planned
+  const stepperRef = useRef(createFixedStepper());
+  const previousBallsRef = useRef(null); // Pieces before the last fixed step
+  const shotFramesRef = useRef(null); // Keyframes of the local shot in play, for the goal replay
+  const goalReplaySkippedRef = useRef(false); // Online goal replay skipped before it started
+  const restingStateRef = useRef(null); // Last state at rest, the one the next shot is taken from
+  const saveSlotRef = useRef(null); // Save slot of the local match, picked at its first save
+  const savedTurnRef = useRef(0); // Turn count of the last autosave
+  const physicsBackendRef = useRef(null); // Physics backend of the current match
+
+  // The goal boxes stick out beyond the pitch, so the pitch is drawn this far
+  // down inside the board
+  const pitchOffset = getPitchOffset(gameState.field);
+
+  // Screen space for the board, measured from the layout
+  const [availableSize, setAvailableSize] = useState({
+    width: 400,
+    height: 800,
+  });
+
+  // World to screen mapping; the board is drawn in world units and scaled
+  const view = createViewTransform(
+    {
+      width: gameState.field.width,
+      height: gameState.field.height + pitchOffset * 2,
+    },
+    availableSize,
+    { x: 0, y: pitchOffset }
+  );
+  const viewRef = useRef(view);
+  viewRef.current = view;
+  // Socket callbacks are registered once, so they read the team from here
+  const playerTeamRef = useRef(playerTeam);
+  playerTeamRef.current = playerTeam;
+  const gameStateRef = useRef(gameState);
+  gameStateRef.current = gameState;
+  const spinTouchStartRef = useRef(null); // Start x of the second finger setting spin
 
   // Reset camera shake after a delay
   useEffect(() => {
@@ -194,6 +323,128 @@ function SoccerStarsGame() {
     }
   }, [cameraShake]);
 
+  // Log every shot for the replay. Online, the shot arrives with the state
+  // the server resolved, which already holds it. Shots already logged are
+  // skipped by recordShot.
+  useEffect(() => {
+    if (gameState.lastShot) {
+      setReplay((prev) => (prev ? recordShot(prev, gameState) : prev));
+    }
+  }, [gameState]);
+
+  // Keep the turn history for local takebacks. The server keeps its own for
+  // online matches.
+  useEffect(() => {
+    if (gameMode === GAME_MODES.ONLINE) return;
+
+    if (!gameState.isMoving) {
+      restingStateRef.current = gameState;
+      return;
+    }
+
+    // A shot has just been taken from the last resting state
+    const resting = restingStateRef.current;
+    if (resting && gameState.lastShot?.turn === resting.turnCount) {
+      setTurnHistory((prev) => recordTurn(prev, resting));
+      restingStateRef.current = null;
+    }
+  }, [gameState, gameMode]);
+
+  // Autosave local matches each time the pieces settle after a turn
+  useEffect(() => {
+    if (
+      gameMode === GAME_MODES.ONLINE ||
+      gameMode === GAME_MODES.SANDBOX ||
+      gameMode === GAME_MODES.AI_VS_AI ||
+      showGameModeSelection ||
+      gameOver
+    ) {
+      return;
+    }
+    if (gameState.isMoving || gameState.turnCount === savedTurnRef.current) {
+      return;
+    }
+
+    if (saveSlotRef.current === null) {
+      saveSlotRef.current = pickSaveSlot();
+    }
+    saveMatch(saveSlotRef.current, {
+      state: gameState,
+      history: turnHistory,
+      replay,
+      aiDifficulty,
+      humanTeam,
+    });
+    savedTurnRef.current = gameState.turnCount;
+  }, [
+    gameState,
+    gameMode,
+    showGameModeSelection,
+    gameOver,
+    turnHistory,
+    replay,
+    aiDifficulty,
+    humanTeam,
+  ]);
+
+  // A finished match can't be resumed, so its save goes
+  useEffect(() => {
+    if (gameOver && saveSlotRef.current !== null) {
+      deleteSave(saveSlotRef.current);
+      saveSlotRef.current = null;
+    }
+  }, [gameOver]);
+
+  // List the saved matches whenever the menu is shown
+  useEffect(() => {
+    if (showGameModeSelection) {
+      setSavedMatches(listSaves());
+    }
+  }, [showGameModeSelection]);
+
+  // Close the replay log with the final state once the match is over
+  useEffect(() => {
+    if (gameOver) {
+      setReplay((prev) => (prev && !prev.final ? finishReplay(prev, gameState) : prev));
+    }
+  }, [gameOver, gameState]);
+
+  // Open a replay shared as a link
+  useEffect(() => {
+    const { hash, pathname, search } = window.location;
+    if (!hash.startsWith(`#${REPLAY_LINK_PARAM}=`)) return;
+
+    try {
+      setReplay(replayFromText(hash));
+      setShowReplay(true);
+    } catch (error) {
+      console.error("Could not open the replay link:", error.message);
+    }
+    window.history.replaceState(null, "", `${pathname}${search}`);
+  }, []);
+
+  // Open a replay file, link or code from the menu. Returns an error message
+  // if it is not a valid replay.
+  const openReplay = (text) => {
+    try {
+      setReplay(replayFromText(text));
+      setShowReplay(true);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  };
+
+  // Clear the goal or foul announcement after a while
+  useEffect(() => {
+    if (announcement) {
+      const timer = setTimeout(() => {
+        setAnnouncement(null);
+      }, 2500);
+      return () => clearTimeout(timer);
+    }
+  }, [announcement]);
+
   // Get selected player
   const getSelectedPlayer = useCallback(() => {
     return gameState.balls.find((b) => b.id === gameState.selectedPlayerId);
@@ -202,7 +453,7 @@ function SoccerStarsGame() {
   // Select a player
   const selectPlayer = useCallback(
     (playerId) => {
-      if (gameState.isMoving) return;
+      if (gameState.isMoving || goalReplay) return;
 
       const player = gameState.balls.find((b) => b.id === playerId);
 
@@ -231,6 +482,7 @@ function SoccerStarsGame() {
       gameState.balls,
       gameMode,
       playerTeam,
+      goalReplay,
     ]
   );
 
@@ -240,17 +492,25 @@ function SoccerStarsGame() {
   // as this is now handled directly in the updatePhysics function
 
   // Pointer position helper
-  const getPointerPosition = (e) => {
-    if (e.touches && e.touches[0]) {
-      return { x: e.touches[0].clientX, y: e.touches[0].clientY };
-    }
-    return { x: e.clientX, y: e.clientY };
-  };
+  // Pointer position in world coordinates
+  const getPointerPosition = useCallback((e) => {
+    const point =
+      e.touches && e.touches[0]
+        ? { x: e.touches[0].clientX, y: e.touches[0].clientY }
+        : { x: e.clientX, y: e.clientY };
+
+    if (!containerRef.current) return point;
+    return screenToWorld(
+      viewRef.current,
+      point,
+      containerRef.current.getBoundingClientRect()
+    );
+  }, []);
 
   // Start interaction (mouse down / touch start)
   const handleInteractionStart = useCallback(
     (e, playerId) => {
-      if (gameState.isMoving) return;
+      if (gameState.isMoving || goalReplay) return;
 
       const player = gameState.balls.find((b) => b.id === playerId);
 
@@ -276,6 +536,8 @@ function SoccerStarsGame() {
       setIsDragging(true);
       setStartDragPos(pointerPos);
       setCurrentDragPos(pointerPos);
+      setDragSpin(0);
+      spinTouchStartRef.current = null;
 
       // Stop any animations
       if (animationFrameRef.current) {
@@ -283,7 +545,14 @@ function SoccerStarsGame() {
         animationFrameRef.current = null;
       }
     },
-    [gameState.isMoving, gameState.currentTeam, selectPlayer, gameState.balls]
+    [
+      gameState.isMoving,
+      gameState.currentTeam,
+      selectPlayer,
+      gameState.balls,
+      getPointerPosition,
+      goalReplay,
+    ]
   );
 
   // Move interaction (mouse move / touch move)
@@ -293,474 +562,385 @@ function SoccerStarsGame() {
       if (e.type === "touchmove") e.preventDefault();
       const pointerPos = getPointerPosition(e);
       setCurrentDragPos(pointerPos);
+
+      // A second finger sliding sideways sets the spin
+      if (e.touches && e.touches[1]) {
+        const spinTouchX = e.touches[1].clientX;
+        if (spinTouchStartRef.current === null) {
+          spinTouchStartRef.current = spinTouchX;
+        }
+        const offset = spinTouchX - spinTouchStartRef.current;
+        setDragSpin(
+          Math.max(-1, Math.min(1, offset / SPIN_GESTURE_DISTANCE))
+        );
+      }
     },
-    [isDragging]
+    [isDragging, getPointerPosition]
   );
 
   // End interaction (mouse up / touch end)
-  const handleInteractionEnd = useCallback(() => {
-    if (!isDragging) return;
-    setIsDragging(false);
+  const handleInteractionEnd = useCallback(
+    (e) => {
+      if (!isDragging) return;
+      // Lifting the spin finger does not take the shot
+      if (e && e.touches && e.touches.length > 0) return;
+      setIsDragging(false);
 
-    const selectedPlayer = getSelectedPlayer();
-    if (!selectedPlayer) return;
-
-    const dx = startDragPos.x - currentDragPos.x;
-    const dy = startDragPos.y - currentDragPos.y;
-    let distance = Math.sqrt(dx * dx + dy * dy);
-    distance = Math.min(distance, MAX_PULL_DISTANCE);
-
-    if (distance < 5) return;
-
-    const angle = Math.atan2(dy, dx);
-    const directionX = Math.cos(angle);
-    const directionY = Math.sin(angle);
-    const initialSpeed = distance * POWER_FACTOR;
-
-    setGameState((prev) => {
-      const newBalls = prev.balls.map((ball) => {
-        if (ball.id === selectedPlayer.id) {
-          return {
-            ...ball,
-            vel: {
-              x: directionX * initialSpeed,
-              y: directionY * initialSpeed,
-            },
-          };
-        }
-        return ball;
-      });
+      const selectedPlayer = getSelectedPlayer();
+      if (!selectedPlayer) return;
 
-      // For online mode, send the detailed move to the opponent
-      if (gameMode === GAME_MODES.ONLINE && isMyTurn) {
-        const move = {
-          playerId: selectedPlayer.id,
-          playerPos: { ...selectedPlayer.pos }, // Exact position of the player
-          direction: { x: directionX, y: directionY }, // Normalized direction vector
-          power: initialSpeed, // Power scalar
-        };
+      const shot = getDragShot(startDragPos, currentDragPos, dragSpin);
+      if (!shot) return;
 
-        sendGameMove(roomId, move);
-        setIsMyTurn(false); // Switch turns
+      // For online mode the server resolves the shot and broadcasts the result
+      if (gameMode === GAME_MODES.ONLINE) {
+        if (!isMyTurn) return;
+
+        sendGameMove(roomId, {
+          playerId: selectedPlayer.id,
+          direction: shot.direction, // Normalized direction vector
+          power: shot.power, // Power scalar
+          spin: shot.spin, // Angular velocity
+        });
+        setIsMyTurn(false); // Wait for the server to resolve the shot
+        return;
       }
 
-      return {
-        ...prev,
-        balls: newBalls,
-        isMoving: true,
-      };
-    });
-  }, [
-    isDragging,
-    startDragPos,
-    currentDragPos,
-    getSelectedPlayer,
-    gameMode,
-    isMyTurn,
-    roomId,
-  ]);
+      setGameState((prev) =>
+        takeShot(prev, { pieceId: selectedPlayer.id, ...shot })
+      );
+    },
+    [
+      isDragging,
+      startDragPos,
+      currentDragPos,
+      dragSpin,
+      getSelectedPlayer,
+      gameMode,
+      isMyTurn,
+      roomId,
+    ]
+  );
+
+  // Difficulty of the AI playing each team this match; null for a human
+  const aiTeams =
+    gameMode === GAME_MODES.VS_AI
+      ? { [humanTeam]: null, [otherTeam(humanTeam)]: aiDifficulty }
+      : gameMode === GAME_MODES.AI_VS_AI
+      ? exhibitionDifficulty
+      : { 1: null, 2: null };
+  const currentAIDifficulty = aiTeams[gameState.currentTeam];
 
   // Helper function for AI to make a move - using the imported function
   const handleAIMove = useCallback(() => {
     console.log("Handling AI move, current team:", gameState.currentTeam);
 
-    if (gameState.currentTeam !== 2 || gameState.isMoving) {
+    const team = gameState.currentTeam;
+    if (!currentAIDifficulty || gameState.isMoving) {
       console.log("Cannot make AI move - not AI turn or pieces are moving");
-      setIsAiProcessing(false);
+      aiProcessingRef.current = false;
       return;
     }
 
-    try {
-      // Calculate AI move based on current difficulty level
-      const aiMove = calculateAIMove(
-        gameState,
-        aiDifficulty, // Use current difficulty setting
-        containerRef,
-        selectPlayer
+    // Shot straight at goal, for when the search has no move for the AI
+    const playFallbackShot = () => {
+      const aiPlayer = gameState.balls.find(
+        (b) => b.isPlayer && b.team === team
       );
+      if (!aiPlayer) {
+        console.error("No AI player found!");
+        aiProcessingRef.current = false;
+        return;
+      }
 
-      if (aiMove) {
-        // Execute the calculated AI move
-        executeAIMove(aiMove, setGameState);
-        setIsAiProcessing(false); // Reset flag after successful execution
-      } else {
-        // Fallback to simple move if no good move found
-        const aiPlayer = gameState.balls.find(
-          (b) => b.isPlayer && b.team === 2
-        );
-        if (!aiPlayer) {
-          console.error("No AI player found!");
-          setIsAiProcessing(false);
-          return;
-        }
-
-        console.log("AI player found:", aiPlayer.id);
-
-        // Select a blue player
-        selectPlayer(aiPlayer.id);
-
-        // Create a direct shot toward the goal
-        const directionX = -1; // Shoot left toward red goal
-        const directionY = 0; // Straight shot
-        const basePower = MAX_PULL_DISTANCE * POWER_FACTOR;
-        const finalPower = basePower * AI_POWER_SCALING_FACTOR;
+      console.log("AI player found:", aiPlayer.id);
+
+      // Select one of the AI's players
+      selectPlayer(aiPlayer.id);
+
+      // Create a direct shot toward the goal the AI scores in
+      const goal = gameState.field.goals.find((g) => g.scoringTeam === team);
+      const dx = goal.x - aiPlayer.pos.x;
+      const dy =
+        (goal.side === "top" ? 0 : gameState.field.height) - aiPlayer.pos.y;
+      const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+      const directionX = dx / distance;
+      const directionY = dy / distance;
+      const basePower = MAX_PULL_DISTANCE * POWER_FACTOR;
+      const finalPower = basePower * AI_POWER_SCALING_FACTOR;
+
+      console.log("Setting AI fallback velocity:", {
+        x: directionX * finalPower,
+        y: directionY * finalPower,
+      });
 
-        console.log("Setting AI fallback velocity:", {
-          x: directionX * finalPower,
-          y: directionY * finalPower,
-        });
+      // Apply the move directly
+      setGameState((prev) =>
+        takeShot(prev, {
+          pieceId: aiPlayer.id,
+          direction: { x: directionX, y: directionY },
+          power: finalPower,
+          spin: 0,
+        })
+      );
+      aiProcessingRef.current = false; // Reset flag after successful execution
+    };
 
-        // Apply the move directly
-        setGameState((prev) => {
-          const newBalls = prev.balls.map((ball) => {
-            if (ball.id === aiPlayer.id) {
-              return {
-                ...ball,
-                vel: {
-                  x: directionX * finalPower,
-                  y: directionY * finalPower,
-                },
-              };
-            }
-            return ball;
-          });
+    // The AI worker plans the move; the board stays live meanwhile
+    setAiProgress(0);
+    requestAIMove(gameState, team, currentAIDifficulty, {
+      onProgress: (progress) => setAiProgress(progress),
+      onMove: (aiMove) => {
+        setAiProgress(null);
+        try {
+          if (aiMove) {
+            // Execute the planned AI move
+            selectPlayer(aiMove.pieceId);
+            executeAIMove(aiMove, setGameState);
+            aiProcessingRef.current = false; // Reset flag after successful execution
+          } else {
+            // Fallback to simple move if no good move found
+            playFallbackShot();
+          }
 
-          return {
-            ...prev,
-            balls: newBalls,
-            isMoving: true,
-          };
-        });
-        setIsAiProcessing(false); // Reset flag after successful execution
-      }
+          console.log(
+            "AI move executed with difficulty:",
+            currentAIDifficulty
+          );
+        } catch (error) {
+          console.error("Error executing AI move:", error);
+          aiProcessingRef.current = false;
+        }
+      },
+      // A failed search would fail again, so the AI takes the simple shot
+      // rather than searching once more
+      onError: () => {
+        setAiProgress(null);
+        playFallbackShot();
+      },
+    });
+  }, [gameState, currentAIDifficulty, selectPlayer, setGameState]);
 
-      console.log("AI move executed with difficulty:", aiDifficulty);
-    } catch (error) {
-      console.error("Error executing AI move:", error);
-      setIsAiProcessing(false);
-    }
-  }, [gameState, aiDifficulty, containerRef, selectPlayer, setGameState]);
+  // Effects read the latest handler from here, so a new game state alone
+  // does not restart the AI's turn
+  const handleAIMoveRef = useRef(handleAIMove);
+  handleAIMoveRef.current = handleAIMove;
 
   // Effect to trigger AI move when it's AI's turn
   useEffect(() => {
-    // If it's AI's turn and the game is not in motion and AI is not already processing
+    // Only on the AI's turn, with the game at rest and no AI move under way
     if (
-      gameMode === GAME_MODES.VS_AI &&
-      gameState.currentTeam === 2 &&
-      !gameState.isMoving &&
-      !showGameModeSelection &&
-      !isAiProcessing
+      !currentAIDifficulty ||
+      gameState.isMoving ||
+      goalReplay ||
+      showGameModeSelection ||
+      gameOver ||
+      aiProcessingRef.current
     ) {
-      // Restore the check here
-      console.log(
-        "AI turn detected, preparing to make a move with difficulty:",
-        aiDifficulty
-      );
-
-      // Set AI processing flag to prevent multiple calls
-      setIsAiProcessing(true);
+      return undefined;
+    }
 
-      // Clear any existing timeout
-      if (aiTimeoutRef.current) {
-        clearTimeout(aiTimeoutRef.current);
-        aiTimeoutRef.current = null;
-      }
+    // Set AI processing flag to prevent multiple calls
+    aiProcessingRef.current = true;
 
-      // Execute AI move after a short delay
-      aiTimeoutRef.current = setTimeout(() => {
-        console.log("Executing AI move now");
-        handleAIMove();
-      }, 500);
-    }
+    // Execute AI move after the reaction delay of the difficulty
+    aiTimeoutRef.current = setTimeout(() => {
+      aiTimeoutRef.current = null;
+      handleAIMoveRef.current();
+    }, getAIProfile(currentAIDifficulty).reactionDelayMs);
 
+    // The turn or the screen changed: drop the move, the next turn plans its own
     return () => {
       if (aiTimeoutRef.current) {
         clearTimeout(aiTimeoutRef.current);
         aiTimeoutRef.current = null;
       }
+      cancelAIMove();
+      setAiProgress(null);
+      aiProcessingRef.current = false;
     };
   }, [
-    gameMode,
-    gameState.currentTeam,
+    currentAIDifficulty,
     gameState.isMoving,
+    gameState.currentTeam,
+    gameState.turnCount,
     showGameModeSelection,
-    handleAIMove,
-    aiDifficulty,
-    isAiProcessing,
+    gameOver,
+    goalReplay,
   ]);
 
-  // Physics update effect
-  useEffect(() => {
-    const container = containerRef.current;
-    if (!container) return;
-
-    // Don't run physics updates if we're in game mode selection
-    if (showGameModeSelection) return;
+  // Stop the AI's search when the game goes away
+  useEffect(() => cancelAIMove, []);
 
-    console.log(
-      "Physics update effect triggered, isMoving:",
-      gameState.isMoving
-    );
+  // Keep track of the screen space the board can use
+  useEffect(() => {
+    const boardArea = boardAreaRef.current;
+    if (!boardArea) return;
 
-    const updatePhysics = () => {
-      setGameState((prev) => {
-        if (!prev.isMoving) return prev;
-
-        const newBalls = JSON.parse(JSON.stringify(prev.balls));
-        const containerWidth = container.offsetWidth;
-        const containerHeight = container.offsetHeight;
-        const restitution = BALL_COLLISION_BOUNCE_FACTOR;
-        let isStillMoving = false;
-
-        // Ball-Ball Collision Detection & Response
-        for (let i = 0; i < newBalls.length; i++) {
-          for (let j = i + 1; j < newBalls.length; j++) {
-            const ball1 = newBalls[i];
-            const ball2 = newBalls[j];
-            const radius1 = ball1.size / 2;
-            const radius2 = ball2.size / 2;
-
-            const dx = ball2.pos.x - ball1.pos.x;
-            const dy = ball2.pos.y - ball1.pos.y;
-            const distanceSq = dx * dx + dy * dy;
-            const minDistance = radius1 + radius2;
-            const minDistanceSq = minDistance * minDistance;
-
-            if (distanceSq < minDistanceSq && distanceSq > 0.001) {
-              const distance = Math.sqrt(distanceSq);
-
-              // Resolve Overlap
-              const overlap = minDistance - distance;
-              const nx = dx / distance;
-              const ny = dy / distance;
-              ball1.pos.x -= nx * overlap * 0.5;
-              ball1.pos.y -= ny * overlap * 0.5;
-              ball2.pos.x += nx * overlap * 0.5;
-              ball2.pos.y += ny * overlap * 0.5;
-
-              // Calculate Collision Response
-              const tx = -ny;
-              const ty = nx;
-
-              const v1n = ball1.vel.x * nx + ball1.vel.y * ny;
-              const v1t = ball1.vel.x * tx + ball1.vel.y * ty;
-              const v2n = ball2.vel.x * nx + ball2.vel.y * ny;
-              const v2t = ball2.vel.x * tx + ball2.vel.y * ty;
-
-              const new_v1n =
-                (v1n * (1 - restitution) + 2 * restitution * v2n) / 2;
-              const new_v2n =
-                (v2n * (1 - restitution) + 2 * restitution * v1n) / 2;
-
-              const new_v1t = v1t;
-              const new_v2t = v2t;
-
-              ball1.vel.x = new_v1n * nx + new_v1t * tx;
-              ball1.vel.y = new_v1n * ny + new_v1t * ty;
-              ball2.vel.x = new_v2n * nx + new_v2t * tx;
-              ball2.vel.y = new_v2n * ny + new_v2t * ty;
-            }
-          }
-        }
+    const measure = () => {
+      setAvailableSize({
+        width: boardArea.clientWidth,
+        height: Math.max(200, window.innerHeight - VIEW_RESERVED_HEIGHT),
+      });
+    };
 
-        // Update Position, Wall Collision, Damping
-        for (let i = 0; i < newBalls.length; i++) {
-          const ball = newBalls[i];
-          const radius = ball.size / 2;
-
-          // Update position
-          ball.pos.x += ball.vel.x;
-          ball.pos.y += ball.vel.y;
-
-          // Wall collision (with special goal areas) - Rotated 90 degrees
-          const goalX = containerWidth / 2;
-          const halfGoalWidth = GOAL_HEIGHT / 2; // Using GOAL_HEIGHT as the width now
-
-          // Top wall with goal opening
-          if (ball.pos.y - radius < 0) {
-            if (
-              ball.pos.x < goalX - halfGoalWidth ||
-              ball.pos.x > goalX + halfGoalWidth
-            ) {
-              ball.pos.y = radius;
-              ball.vel.y = -ball.vel.y * WALL_BOUNCE_FACTOR;
-            } else if (ball.isPlayer) {
-              // Apply bounce for players hitting the goal area
-              ball.pos.y = radius;
-              ball.vel.y = -ball.vel.y * WALL_BOUNCE_FACTOR;
-            }
-          }
+    measure();
+    const observer = new ResizeObserver(measure);
+    observer.observe(boardArea);
+    window.addEventListener("resize", measure);
 
-          // Bottom wall with goal opening
-          if (ball.pos.y + radius > containerHeight) {
-            if (
-              ball.pos.x < goalX - halfGoalWidth ||
-              ball.pos.x > goalX + halfGoalWidth
-            ) {
-              ball.pos.y = containerHeight - radius;
-              ball.vel.y = -ball.vel.y * WALL_BOUNCE_FACTOR;
-            } else if (ball.isPlayer) {
-              // Apply bounce for players hitting the goal area
-              ball.pos.y = containerHeight - radius;
-              ball.vel.y = -ball.vel.y * WALL_BOUNCE_FACTOR;
-            }
-          }
+    return () => {
+      observer.disconnect();
+      window.removeEventListener("resize", measure);
+    };
+  }, [showGameModeSelection, gameOver]);
 
-          // Left and right walls (no goals)
-          if (ball.pos.x - radius < 0) {
-            ball.pos.x = radius;
-            ball.vel.x = -ball.vel.x * WALL_BOUNCE_FACTOR;
-          }
-          if (ball.pos.x + radius > containerWidth) {
-            ball.pos.x = containerWidth - radius;
-            ball.vel.x = -ball.vel.x * WALL_BOUNCE_FACTOR;
-          }
+  // Match clock. Locally it can end the match between shots; online the
+  // server decides and the local count is only for display.
+  useEffect(() => {
+    if (showGameModeSelection || gameOver) return;
+    if (gameState.rules.matchTimeMs === null) return;
+    if (gameMode === GAME_MODES.ONLINE && !isOnlineGameStarted) return;
 
-          // Ensure pieces don't go out of bounds (especially for blue pieces)
-          if (ball.isPlayer) {
-            // Ensure x is within bounds
-            ball.pos.x = Math.max(
-              radius,
-              Math.min(containerWidth - radius, ball.pos.x)
-            );
-            // Ensure y is within bounds
-            ball.pos.y = Math.max(
-              radius,
-              Math.min(containerHeight - radius, ball.pos.y)
-            );
-          }
+    const interval = setInterval(() => {
+      setGameState((prev) => {
+        const ticked = tickMatchClock(prev, 1000);
+        if (gameMode === GAME_MODES.ONLINE || ticked.isMoving) return ticked;
+
+        // A shot in progress is decided when the pieces come to rest
+        const { state: ruledState, result } = checkMatchEnd(ticked);
+        if (result) {
+          setGameOver(true);
+          setWinner(result.winner);
+          setEndReason(result.reason);
+        }
+        return ruledState;
+      });
+    }, 1000);
 
-          // Damping
-          ball.vel.x *= DAMPING_FACTOR;
-          ball.vel.y *= DAMPING_FACTOR;
+    return () => clearInterval(interval);
+  }, [
+    showGameModeSelection,
+    gameOver,
+    gameMode,
+    isOnlineGameStarted,
+    gameState.rules.matchTimeMs,
+  ]);
 
-          // Check movement
-          if (
-            Math.abs(ball.vel.x) > MIN_VELOCITY_THRESHOLD ||
-            Math.abs(ball.vel.y) > MIN_VELOCITY_THRESHOLD
-          ) {
-            isStillMoving = true;
-          } else {
-            ball.vel.x = 0;
-            ball.vel.y = 0;
-          }
-        }
+  // Create the physics backend the match is played with
+  useEffect(() => {
+    const backend = createPhysicsBackend(gameState.physicsBackend);
+    physicsBackendRef.current = backend;
 
-        // Check for goals (continuously during gameplay)
-        const ball = newBalls.find((b) => b.id === "ball");
-        const goalX = containerWidth / 2;
-        const halfGoalWidth = GOAL_HEIGHT / 2;
-        let newScore = { ...prev.score };
-        let goalScored = false;
+    return () => {
+      backend.destroy();
+      if (physicsBackendRef.current === backend) {
+        physicsBackendRef.current = null;
+      }
+    };
+  }, [gameState.physicsBackend]);
 
-        // Check if ball is in top goal (team 2 scores) - Rotated 90 degrees
-        if (
-          ball.id === "ball" &&
-          ball.pos.y < 10 &&
-          ball.pos.x > goalX - halfGoalWidth &&
-          ball.pos.x < goalX + halfGoalWidth
-        ) {
-          newScore.team2 += 1;
-          goalScored = true;
-          console.log("Goal scored by Team 2 (Blue)!");
-        }
+  // Physics update effect
+  useEffect(() => {
+    // Don't run physics updates if we're in game mode selection
+    if (showGameModeSelection) return;
 
-        // Check if ball is in bottom goal (team 1 scores) - Rotated 90 degrees
-        if (
-          ball.id === "ball" &&
-          ball.pos.y > containerHeight - 10 &&
-          ball.pos.x > goalX - halfGoalWidth &&
-          ball.pos.x < goalX + halfGoalWidth
-        ) {
-          newScore.team1 += 1;
-          goalScored = true;
-          console.log("Goal scored by Team 1 (Red)!");
-        }
+    // Online shots are resolved by the server and only played back here
+    if (gameMode === GAME_MODES.ONLINE) return;
 
-        if (goalScored) {
-          // Trigger camera shake animation
-          setCameraShake(true);
+    console.log(
+      "Physics update effect triggered, isMoving:",
+      gameState.isMoving
+    );
 
-          // Check if either team has reached 3 goals
-          if (newScore.team1 >= 3 || newScore.team2 >= 3) {
-            // Game over - set winner
-            setGameOver(true);
-            setWinner(newScore.team1 >= 3 ? 1 : 2);
+    const updatePhysics = (now) => {
+      // Physics advances in fixed steps; the leftover fraction of a step is
+      // only used to interpolate what we draw
+      const { steps, alpha } = stepperRef.current.advance(now);
+      setRenderAlpha(alpha);
 
-            // For online mode, notify opponent about game over
-            if (gameMode === GAME_MODES.ONLINE) {
-              sendGameOver(roomId, newScore.team1 >= 3 ? 1 : 2);
-            }
+      if (steps > 0) {
+        setGameState((prev) => {
+          if (!prev.isMoving) return prev;
+
+          const {
+            state: nextState,
+            previous,
+            events,
+          } = runFixedSteps(prev, steps, physicsBackendRef.current);
+          previousBallsRef.current = previous;
+
+          const {
+            state: resolvedState,
+            goal,
+            foul,
+            turnOver,
+          } = resolveStepEvents(nextState, events);
+
+          // Keep the shot's keyframes in case it scores
+          const shot = shotFramesRef.current || {
+            keyframes: [{ tick: 0, positions: snapshotPositions(prev.balls) }],
+            ticks: 0,
+            goalTick: null,
+            goal: null,
+          };
+          shot.ticks += steps;
+          shot.keyframes.push({
+            tick: shot.ticks,
+            positions: snapshotPositions(nextState.balls),
+          });
+          if (goal && shot.goalTick === null) {
+            shot.goalTick = shot.ticks;
+            shot.goal = goal;
           }
+          shotFramesRef.current = shot;
 
-          // Reset the game with updated score if goal scored
-          const initialState = initialGameState(prev.gameMode);
-          const updatedState = {
-            ...initialState,
-            score: newScore,
-            gameMode: prev.gameMode,
-            aiDifficulty: prev.aiDifficulty,
-          };
+          if (goal) {
+            console.log(
+              `Goal scored by Team ${goal.team} (${goal.team === 1 ? "Red" : "Blue"})!`
+            );
 
-          // For online mode, explicitly send the updated game state to opponent after a goal
-          if (gameMode === GAME_MODES.ONLINE) {
-            console.log("Goal scored in online mode - syncing game state");
-            updateGameState(roomId, updatedState);
+            // Trigger camera shake animation
+            setCameraShake(true);
+            setAnnouncement(describeGoal(goal));
+          } else if (foul) {
+            setAnnouncement(describeFoul(foul, prev.rules));
           }
 
-          return updatedState;
-        }
+          // Once the pieces have stopped, the score and turn are updated
+          if (turnOver) {
+            // Reset AI processing flag when turn changes
+            aiProcessingRef.current = false;
 
-        // If pieces have stopped moving, change the turn
-        const shouldChangeTurn = prev.isMoving && !isStillMoving;
+            previousBallsRef.current = null;
+            const { state: ruledState, result } =
+              checkMatchEnd(resolvedState);
 
-        if (shouldChangeTurn) {
-          // Reset AI processing flag when turn changes
-          if (prev.currentTeam === 2) {
-            setIsAiProcessing(false);
-          }
+            // Show a goal again before the kickoff layout
+            setGoalReplay(createGoalReplay(shot));
+            shotFramesRef.current = null;
 
-          // For online mode, update turn state and send game state to opponent
-          if (gameMode === GAME_MODES.ONLINE) {
-            // It's my turn if the current team is my team
-            const nextTeam = prev.currentTeam === 1 ? 2 : 1;
-            setIsMyTurn(nextTeam === playerTeam);
-
-            // Send updated game state to opponent
-            const updatedState = {
-              ...prev,
-              balls: newBalls,
-              isMoving: false,
-              currentTeam: nextTeam,
-              selectedPlayerId: null,
-            };
-
-            updateGameState(roomId, updatedState);
-            return updatedState;
+            if (result) {
+              // Game over - set winner
+              setGameOver(true);
+              setWinner(result.winner);
+              setEndReason(result.reason);
+            }
+
+            return ruledState;
           }
 
-          return {
-            ...prev,
-            balls: newBalls,
-            isMoving: false,
-            // Change turn when movement stops
-            currentTeam: prev.currentTeam === 1 ? 2 : 1,
-            // Clear selected player when turn changes
-            selectedPlayerId: null,
-          };
-        } else {
-          return {
-            ...prev,
-            balls: newBalls,
-            isMoving: isStillMoving,
-          };
-        }
-      });
+          return resolvedState;
+        });
+      }
 
       animationFrameRef.current = requestAnimationFrame(updatePhysics);
     };
 
     if (gameState.isMoving && !animationFrameRef.current) {
+      stepperRef.current.reset();
+      previousBallsRef.current = null;
+      shotFramesRef.current = null;
       animationFrameRef.current = requestAnimationFrame(updatePhysics);
     } else if (!gameState.isMoving && animationFrameRef.current) {
       cancelAnimationFrame(animationFrameRef.current);
@@ -773,7 +953,121 @@ function SoccerStarsGame() {
         animationFrameRef.current = null;
       }
     };
-  }, [gameState.isMoving, showGameModeSelection, gameMode, playerTeam, roomId]);
+  }, [gameState.isMoving, showGameModeSelection, gameMode]);
+
+  // Online shot playback effect - replays the keyframes resolved by the server
+  useEffect(() => {
+    if (!playback) return;
+
+    let frameId = null;
+    let startTime = null;
+    const duration = playback.ticks * FIXED_TIMESTEP_MS;
+
+    const animate = (now) => {
+      if (startTime === null) startTime = now;
+      const elapsed = now - startTime;
+
+      if (elapsed >= duration) {
+        setGameState(playback.finalState);
+        setIsMyTurn(playback.finalState.currentTeam === playerTeam);
+        if (playback.goal) {
+          setCameraShake(true);
+          setAnnouncement(describeGoal(playback.goal));
+          if (!goalReplaySkippedRef.current) {
+            setGoalReplay(createGoalReplay(playback));
+          }
+        } else if (playback.foul) {
+          setAnnouncement(describeFoul(playback.foul, playback.finalState.rules));
+        }
+        setPlayback(null);
+        return;
+      }
+
+      const positions = sampleKeyframes(
+        playback.keyframes,
+        elapsed / FIXED_TIMESTEP_MS
+      );
+      setGameState((prev) => ({
+        ...prev,
+        balls: prev.balls.map((ball) =>
+          positions[ball.id] ? { ...ball, pos: positions[ball.id] } : ball
+        ),
+      }));
+
+      frameId = requestAnimationFrame(animate);
+    };
+
+    frameId = requestAnimationFrame(animate);
+
+    return () => {
+      if (frameId) cancelAnimationFrame(frameId);
+    };
+  }, [playback, playerTeam]);
+
+  // Goal replay effect - shows the goal again in slow motion. Online the
+  // server waits the same time before the next turn, so everyone in the room
+  // watches it together.
+  useEffect(() => {
+    if (!goalReplay) return;
+
+    let frameId = null;
+    let startTime = null;
+    const duration = getGoalReplayDuration(goalReplay);
+
+    const animate = (now) => {
+      if (startTime === null) startTime = now;
+      const elapsed = now - startTime;
+
+      setGoalReplayTick(getGoalReplayTick(goalReplay, elapsed));
+      if (elapsed >= duration) {
+        setGoalReplay(null);
+        return;
+      }
+
+      frameId = requestAnimationFrame(animate);
+    };
+
+    setGoalReplayTick(goalReplay.startTick);
+    frameId = requestAnimationFrame(animate);
+
+    return () => {
+      if (frameId) cancelAnimationFrame(frameId);
+    };
+  }, [goalReplay]);
+
+  // Skip the goal replay. Online it is skipped for the whole room, once the
+  // server confirms.
+  const skipGoalReplay = () => {
+    if (gameMode === GAME_MODES.ONLINE) {
+      socketSkipGoalReplay(roomId);
+    } else {
+      setGoalReplay(null);
+    }
+  };
+
+  // Take back a shot - straight away in local games, online only once the
+  // opponent agrees
+  const handleTakeback = () => {
+    if (gameMode === GAME_MODES.ONLINE) {
+      requestTakeback(roomId);
+      return;
+    }
+
+    const team = getTakebackTeam(gameState, turnHistory);
+    if (team === null || checkTakeback(gameState, turnHistory, team)) return;
+
+    const { state, history } = takeBack(gameState, turnHistory, team);
+    setGameState(state);
+    setTurnHistory(history);
+    setReplay((prev) => (prev ? rewindReplay(prev, state) : prev));
+    cancelAIThinking();
+    setAnnouncement("Shot taken back");
+  };
+
+  // Answer the opponent's takeback request
+  const handleTakebackAnswer = (accept) => {
+    answerTakeback(roomId, accept);
+  };
 
   // Effect for global interaction listeners
   useEffect(() => {
@@ -796,6 +1090,71 @@ function SoccerStarsGame() {
     };
   }, [isDragging, handleInteractionMove, handleInteractionEnd]);
 
+  // Sandbox editor - the piece follows the pointer and is put down on
+  // release, unless it would overlap another piece
+  useEffect(() => {
+    if (!editDrag) return;
+
+    const handleMove = (e) => {
+      if (e.cancelable) e.preventDefault();
+      const pointer = getPointerPosition(e);
+      setEditDrag({
+        ...editDrag,
+        pos: {
+          x: pointer.x - editDrag.offset.x,
+          y: pointer.y - editDrag.offset.y,
+        },
+      });
+    };
+
+    const handleEnd = () => {
+      setGameState((prev) => movePiece(prev, editDrag.id, editDrag.pos));
+      setEditDrag(null);
+    };
+
+    window.addEventListener("mousemove", handleMove);
+    window.addEventListener("touchmove", handleMove, { passive: false });
+    window.addEventListener("mouseup", handleEnd);
+    window.addEventListener("touchend", handleEnd);
+
+    return () => {
+      window.removeEventListener("mousemove", handleMove);
+      window.removeEventListener("touchmove", handleMove);
+      window.removeEventListener("mouseup", handleEnd);
+      window.removeEventListener("touchend", handleEnd);
+    };
+  }, [editDrag, getPointerPosition]);
+
+  // Spin controls while aiming: Q/E or the arrow keys, or the mouse wheel
+  useEffect(() => {
+    if (!isDragging) return;
+
+    const adjustSpin = (delta) => {
+      setDragSpin((prev) => Math.max(-1, Math.min(1, prev + delta)));
+    };
+
+    const handleKeyDown = (e) => {
+      if (e.key === "q" || e.key === "Q" || e.key === "ArrowLeft") {
+        adjustSpin(-0.25);
+      } else if (e.key === "e" || e.key === "E" || e.key === "ArrowRight") {
+        adjustSpin(0.25);
+      }
+    };
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      adjustSpin(e.deltaY > 0 ? 0.1 : -0.1);
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    window.addEventListener("wheel", handleWheel, { passive: false });
+
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      window.removeEventListener("wheel", handleWheel);
+    };
+  }, [isDragging]);
+
   // Debug effect to log when isMoving changes
   useEffect(() => {
     if (gameMode === GAME_MODES.ONLINE) {
@@ -803,21 +1162,30 @@ function SoccerStarsGame() {
     }
   }, [gameState.isMoving, gameMode]);
 
+  // Aim line: the shot being dragged, simulated ahead
+  const aimAssist = getAimAssist(gameState, aiDifficulty);
+  const aimPreview = useMemo(() => {
+    if (!isDragging || aimAssist === AIM_ASSIST.NONE) return null;
+
+    const shot = getDragShot(startDragPos, currentDragPos, dragSpin);
+    if (!shot || !gameState.selectedPlayerId) return null;
+
+    return predictShot(
+      gameState,
+      { pieceId: gameState.selectedPlayerId, ...shot },
+      aimAssist
+    );
+  }, [isDragging, aimAssist, startDragPos, currentDragPos, dragSpin, gameState]);
+
   // Arrow display for shooting
   const getArrowStyle = () => {
     const selectedPlayer = getSelectedPlayer();
 
-    if (!isDragging || !selectedPlayer || !containerRef.current)
-      return { display: "none" };
-
-    const containerRect = containerRef.current.getBoundingClientRect();
-    const startRelativeX = startDragPos.x - containerRect.left;
-    const startRelativeY = startDragPos.y - containerRect.top;
-    const currentRelativeX = currentDragPos.x - containerRect.left;
-    const currentRelativeY = currentDragPos.y - containerRect.top;
+    if (!isDragging || !selectedPlayer) return { display: "none" };
 
-    const launchVectorX = startRelativeX - currentRelativeX;
-    const launchVectorY = startRelativeY - currentRelativeY;
+    // Drag positions are in world units, like the pieces
+    const launchVectorX = startDragPos.x - currentDragPos.x;
+    const launchVectorY = startDragPos.y - currentDragPos.y;
     let pullDistance = Math.sqrt(
       launchVectorX * launchVectorX + launchVectorY * launchVectorY
     );
@@ -836,7 +1204,7 @@ function SoccerStarsGame() {
     return {
       position: "absolute",
       left: `${selectedPlayer.pos.x}px`,
-      top: `${selectedPlayer.pos.y}px`,
+      top: `${selectedPlayer.pos.y + pitchOffset}px`,
       transformOrigin: "left center",
       transform: `translateY(-50%) rotate(${launchAngleDeg}deg)`,
       width: `${arrowLength}px`,
@@ -850,9 +1218,27 @@ function SoccerStarsGame() {
 
   // Restart game
   const handleRestart = () => {
-    setGameState(initialGameState(gameMode));
+    const newState = initialGameState(gameMode, {
+      physicsBackend: gameState.physicsBackend,
+      arenaId: gameState.field.id,
+      rules: gameState.rules,
+    });
+    setGameState(newState);
+    // Sandbox games are edited as they go, so they have no replay
+    setReplay(gameMode === GAME_MODES.SANDBOX ? null : createReplay(newState));
+    setShowReplay(false);
+    setGoalReplay(null);
+    setTurnHistory([]);
+    setEditSelectedId(null);
+    cancelAIThinking();
+    // The restarted match replaces the saved one
+    if (saveSlotRef.current !== null) {
+      deleteSave(saveSlotRef.current);
+    }
+    savedTurnRef.current = 0;
     setGameOver(false); // Reset game over state
     setWinner(null); // Reset winner
+    setEndReason(null);
     setDisconnectMessage(null); // Reset disconnect message
     setShowNotification(false); // Reset notification
     setNotificationMessage(""); // Clear notification message
@@ -865,6 +1251,7 @@ function SoccerStarsGame() {
     // Reset game over state regardless of mode
     setGameOver(false);
     setWinner(null);
+    setEndReason(null);
 
     if (mode === GAME_MODES.ONLINE) {
       // For online mode, directly join matchmaking instead of showing the multiplayer menu
@@ -876,7 +1263,7 @@ function SoccerStarsGame() {
       setupSocketCallbacks();
 
       // Directly join matchmaking
-      joinMatchmaking();
+      joinMatchmaking(matchRules);
 
       // Reset timer state when starting a new online game
       setTurnTimeLeft(null);
@@ -889,13 +1276,126 @@ function SoccerStarsGame() {
       setOpponentReady(false);
       setIsMyTurn(false);
     } else {
-      // For local modes (VS_PLAYER, VS_AI)
-      setGameState(initialGameState(mode));
+      // For local modes (VS_PLAYER, VS_AI, SANDBOX, AI_VS_AI)
+      const newState = initialGameState(mode, {
+        physicsBackend,
+        arenaId,
+        rules: matchRules,
+      });
+      setGameState(newState);
+      setReplay(mode === GAME_MODES.SANDBOX ? null : createReplay(newState));
+      setSandboxEditing(mode === GAME_MODES.SANDBOX);
+      setEditSelectedId(null);
+      if (mode === GAME_MODES.SANDBOX) {
+        setSandboxPositions(listPositions());
+      }
+      setShowReplay(false);
+      setGoalReplay(null);
+      setTurnHistory([]);
+      saveSlotRef.current = null; // Picked at the first autosave
+      savedTurnRef.current = 0;
       setShowGameModeSelection(false);
-      setIsAiProcessing(false); // Reset AI processing state when starting a new game
+      cancelAIThinking(); // Reset AI processing state when starting a new game
       setGameOver(false); // Reset game over state
       setWinner(null); // Reset winner
+      setEndReason(null);
+    }
+  };
+
+  // Drop any AI move still being planned
+  const cancelAIThinking = () => {
+    cancelAIMove();
+    setAiProgress(null);
+    aiProcessingRef.current = false;
+  };
+
+  // Carry on with a saved local match
+  const resumeMatch = (slot) => {
+    const save = loadMatch(slot);
+    if (!save) {
+      setSavedMatches(listSaves());
+      return;
     }
+
+    setGameMode(save.state.gameMode);
+    setGameState(save.state);
+    setTurnHistory(save.history);
+    setReplay(save.replay);
+    setAiDifficulty(save.aiDifficulty);
+    setHumanTeam(save.humanTeam);
+    saveSlotRef.current = slot;
+    savedTurnRef.current = save.state.turnCount;
+
+    setShowReplay(false);
+    setGoalReplay(null);
+    setShowGameModeSelection(false);
+    cancelAIThinking();
+    setGameOver(false);
+    setWinner(null);
+    setEndReason(null);
+  };
+
+  // Sandbox editor - pick a piece up to move it
+  const startPieceDrag = (e, id) => {
+    e.preventDefault();
+    const pointer = getPointerPosition(e);
+    const piece = gameState.balls.find((b) => b.id === id);
+    setEditSelectedId(id);
+    setEditDrag({
+      id,
+      offset: { x: pointer.x - piece.pos.x, y: pointer.y - piece.pos.y },
+      pos: piece.pos,
+    });
+  };
+
+  // Switch the sandbox between placing pieces and taking shots
+  const toggleSandboxEditing = () => {
+    setSandboxEditing(!sandboxEditing);
+    setEditSelectedId(null);
+    setGameState((prev) => ({ ...prev, selectedPlayerId: null }));
+  };
+
+  const removeSandboxPiece = () => {
+    setGameState((prev) => removePiece(prev, editSelectedId));
+    setEditSelectedId(null);
+  };
+
+  const saveSandboxPosition = (name) => {
+    if (savePosition(name, getSandboxPosition(gameState))) {
+      setSandboxPositions(listPositions());
+      setAnnouncement(`Saved "${name}"`);
+    }
+  };
+
+  const openSandboxPosition = (name) => {
+    const saved = listPositions().find((entry) => entry.name === name);
+    if (!saved) return;
+
+    setGameState(
+      loadSandboxPosition(saved.position, {
+        physicsBackend: gameState.physicsBackend,
+      })
+    );
+    setTurnHistory([]);
+    setGoalReplay(null);
+    setEditSelectedId(null);
+  };
+
+  const deleteSandboxPosition = (name) => {
+    deletePosition(name);
+    setSandboxPositions(listPositions());
+  };
+
+  // Pick the AI difficulty in the menu; the choice is kept for next time
+  const chooseAiDifficulty = (difficulty) => {
+    setAiDifficulty(difficulty);
+    saveAiDifficulty(difficulty);
+  };
+
+  // Delete a saved match from the menu
+  const deleteSavedMatch = (slot) => {
+    deleteSave(slot);
+    setSavedMatches(listSaves());
   };
 
   // Setup Socket.IO event callbacks
@@ -944,6 +1444,7 @@ function SoccerStarsGame() {
         // Explicitly reset game over state
         setGameOver(false);
         setWinner(null);
+        setEndReason(null);
 
         // Reset turn state
         setIsMyTurn(data.team === 1); // Team 1 goes first
@@ -990,29 +1491,29 @@ function SoccerStarsGame() {
         }
       },
 
-      gameStart: () => {
+      gameStart: ({ gameState: serverState }) => {
         console.log("Game starting!");
 
         // Reset UI states
         setShowWaitingRoom(false);
         setIsOnlineGameStarted(true);
 
-        // Reset game state
-        const initialState = initialGameState(GAME_MODES.ONLINE);
-        setGameState(initialState);
+        // The server owns the game state in online matches
+        setPlayback(null);
+        setGoalReplay(null);
+        setTakebackRequest(null);
+        setGameState(serverState);
+        setReplay(createReplay(serverState));
+        setShowReplay(false);
 
         // Explicitly reset game over state
         setGameOver(false);
         setWinner(null);
+        setEndReason(null);
 
         // Reset turn state
         setIsMyTurn(playerTeam === 1); // Team 1 goes first
 
-        // If host, send initial game state
-        if (isHost) {
-          updateGameState(roomId, initialState);
-        }
-
         // Reset any timers
         if (turnTimerRef.current) {
           clearInterval(turnTimerRef.current);
@@ -1021,101 +1522,78 @@ function SoccerStarsGame() {
         setTurnTimeLeft(null);
       },
 
-      opponentMove: ({ move }) => {
-        console.log("Opponent move received:", move);
-
-        // Apply opponent's move with the detailed information
-        setGameState((prev) => {
-          const newBalls = JSON.parse(JSON.stringify(prev.balls)); // Deep copy to avoid reference issues
-          const playerIndex = newBalls.findIndex(
-            (ball) => ball.id === move.playerId
-          );
-
-          if (playerIndex !== -1) {
-            // IMPORTANT: First update player position to match exactly what the opponent had
-            // This ensures perfect synchronization between clients
-            if (move.playerPos) {
-              newBalls[playerIndex].pos = { ...move.playerPos };
-            }
-
-            // Calculate velocity from direction and power
-            // Using the exact same calculation as the sender
-            const velX = move.direction.x * move.power;
-            const velY = move.direction.y * move.power;
-
-            // Apply velocity
-            newBalls[playerIndex].vel = { x: velX, y: velY };
-
-            console.log(
-              `Applied move to player ${move.playerId} at position:`,
-              newBalls[playerIndex].pos,
-              "with velocity:",
-              { x: velX, y: velY }
-            );
-
-            // Force animation frame to start if it's not already running
-            if (animationFrameRef.current === null) {
-              setTimeout(() => {
-                // This will trigger the physics update effect
-                setGameState((current) => ({
-                  ...current,
-                  isMoving: true,
-                }));
-              }, 0);
-            }
-
-            return {
-              ...prev,
-              balls: newBalls,
-              isMoving: true,
-            };
-          }
+      shotResolved: (resolution) => {
+        console.log(
+          `Shot resolved by server: ${resolution.move.playerId}, ${resolution.ticks} ticks`
+        );
 
-          return prev;
-        });
+        // Play back the server's keyframes; the final state is applied at the end
+        goalReplaySkippedRef.current = false;
+        setTakebackRequest(null); // The shot answered any open request
+        setPlayback(resolution);
+        setGameState((prev) => ({
+          ...prev,
+          selectedPlayerId: null,
+          isMoving: true,
+        }));
+      },
 
-        // It's now my turn (will be switched back when pieces stop moving)
-        setIsMyTurn(false);
+      goalReplaySkipped: () => {
+        // A player skipped the goal replay; if it has not started here yet,
+        // it is not shown at all
+        goalReplaySkippedRef.current = true;
+        setGoalReplay(null);
       },
 
-      gameStateUpdated: ({ gameState: newState }) => {
-        console.log("Game state updated from server:", newState);
+      takebackRequested: ({ team }) => {
+        setTakebackRequest({ team });
+      },
 
-        // Check if this is an update after a goal (score differs from current state)
-        setGameState((prevState) => {
-          const scoreChanged =
-            prevState.score.team1 !== newState.score.team1 ||
-            prevState.score.team2 !== newState.score.team2;
+      takebackAccepted: ({ team, gameState: restoredState }) => {
+        setTakebackRequest(null);
+        setGameState(restoredState);
+        setIsMyTurn(restoredState.currentTeam === playerTeamRef.current);
+        setReplay((prev) => (prev ? rewindReplay(prev, restoredState) : prev));
+        setAnnouncement(
+          `${team === 1 ? "Red" : "Blue"} took back their last shot`
+        );
+      },
 
-          // If score changed (goal was scored), always accept the server's state
-          if (scoreChanged) {
-            console.log(
-              "Score changed, accepting server state (goal was scored)"
-            );
-            setCameraShake(true); // Trigger camera shake for the receiver as well
-            return newState;
-          }
+      takebackDeclined: ({ team }) => {
+        setTakebackRequest(null);
+        if (team === playerTeamRef.current) {
+          setAnnouncement("Takeback declined");
+        }
+      },
 
-          // If we're currently moving, keep our local state
-          if (prevState.isMoving && !newState.isMoving) {
-            console.log("Keeping local state while pieces are moving");
-            return prevState;
-          }
+      takebackRejected: ({ reason }) => {
+        setAnnouncement(reason);
+      },
 
-          console.log("Updating to server state");
-          return newState;
-        });
+      overtimeStarted: ({ gameState: overtimeState }) => {
+        console.log("Golden goal overtime");
+        setGameState(overtimeState);
+      },
 
-        // If it's our turn now, update the turn state
-        if (newState.currentTeam === playerTeam) {
-          setIsMyTurn(true);
-        }
+      moveRejected: ({ reason }) => {
+        console.warn("Move rejected by server:", reason);
+        // The move may have come too late, so the turn is whoever the game says
+        setIsMyTurn(
+          gameStateRef.current.currentTeam === playerTeamRef.current
+        );
       },
 
-      gameEnded: ({ winner }) => {
+      gameEnded: ({ winner, reason, gameState: finalState }) => {
         console.log("Game ended, winner:", winner);
         setGameOver(true);
         setWinner(winner);
+        setEndReason(reason ?? null);
+
+        // Show the final score as decided by the server
+        if (finalState) {
+          setPlayback(null);
+          setGameState(finalState);
+        }
 
         // Reset game states
         setPlayerReady(false);
@@ -1200,6 +1678,9 @@ function SoccerStarsGame() {
         // Set initial time left
         setTurnTimeLeft(timeLimit);
 
+        // Matches without a turn limit have no countdown
+        if (timeLimit === null) return;
+
         // Start countdown timer
         turnTimerRef.current = setInterval(() => {
           setTurnTimeLeft((prevTime) => {
@@ -1246,9 +1727,12 @@ function SoccerStarsGame() {
     setIsOnlineGameStarted(false);
     setGameOver(false);
     setWinner(null);
+    setEndReason(null);
 
     // Reset game state
     setGameState(initialGameState(GAME_MODES.VS_PLAYER));
+    setPlayback(null);
+    setGoalReplay(null);
 
     // Reset player state
     setPlayerReady(false);
@@ -1286,6 +1770,7 @@ function SoccerStarsGame() {
       clearTimeout(aiTimeoutRef.current);
       aiTimeoutRef.current = null;
     }
+    cancelAIThinking();
   };
 
   // Online multiplayer functions
@@ -1293,7 +1778,7 @@ function SoccerStarsGame() {
     // Show matchmaking queue and join it
     setShowMultiplayerMenu(false);
     setShowMatchmakingQueue(true);
-    joinMatchmaking();
+    joinMatchmaking(matchRules);
   };
 
   const handlePlayerReady = () => {
@@ -1338,9 +1823,12 @@ function SoccerStarsGame() {
     setIsOnlineGameStarted(false);
     setGameOver(false);
     setWinner(null);
+    setEndReason(null);
 
     // Reset game state
     setGameState(initialGameState(GAME_MODES.VS_PLAYER));
+    setPlayback(null);
+    setGoalReplay(null);
 
     // Reset player-related states but preserve connection
     setPlayerReady(false);
@@ -1357,10 +1845,88 @@ function SoccerStarsGame() {
 
   // Get selected player for rendering (used in the component)
 
+  // Smooth positions between fixed physics steps
+  let renderedBalls =
+    gameState.isMoving && !playback
+      ? interpolatePieces(previousBallsRef.current, gameState.balls, renderAlpha)
+      : gameState.balls;
+
+  // Sandbox editor - a piece being moved follows the pointer
+  const isEditing = gameMode === GAME_MODES.SANDBOX && sandboxEditing;
+  let editPlacement = null;
+  if (editDrag) {
+    editPlacement = getPlacement(gameState, editDrag.id, editDrag.pos);
+    renderedBalls = renderedBalls.map((ball) =>
+      ball.id === editDrag.id ? { ...ball, pos: editPlacement.pos } : ball
+    );
+  }
+
+  // Takebacks - local games check the turn history here, online the server
+  // checks its own and asks the opponent
+  const takebackTeam =
+    gameMode === GAME_MODES.ONLINE
+      ? playerTeam
+      : getTakebackTeam(gameState, turnHistory, humanTeam);
+  const takebacksLeft =
+    takebackTeam === null ? 0 : getTakebacksLeft(gameState, takebackTeam);
+  const canTakeBack =
+    !goalReplay &&
+    takebackTeam !== null &&
+    (gameMode === GAME_MODES.ONLINE
+      ? !gameState.isMoving && !takebackRequest && takebacksLeft > 0
+      : checkTakeback(gameState, turnHistory, takebackTeam) === null);
+
+  // During a goal replay the pieces are drawn where they were in the shot,
+  // and the follow-cam zooms in on the ball
+  let boardTransform = `scale(${view.scale})`;
+  if (goalReplay) {
+    const positions = sampleKeyframes(goalReplay.keyframes, goalReplayTick);
+    renderedBalls = gameState.balls.map((ball) =>
+      positions[ball.id] ? { ...ball, pos: positions[ball.id] } : ball
+    );
+
+    const ball = renderedBalls.find((b) => b.id === "ball");
+    if (followCam && ball) {
+      // Ease the zoom in over the first part of the replay
+      const zoomIn = Math.min(1, (goalReplayTick - goalReplay.startTick) / 20);
+      const cam = getFollowCam(
+        {
+          width: gameState.field.width,
+          height: gameState.field.height + pitchOffset * 2,
+        },
+        { x: ball.pos.x, y: ball.pos.y + pitchOffset },
+        1 + (GOAL_REPLAY_ZOOM - 1) * zoomIn
+      );
+      boardTransform += ` translate(${cam.x}px, ${cam.y}px) scale(${cam.zoom})`;
+    }
+  }
+
   return (
     <div className="flex flex-col justify-center items-center min-h-screen bg-gray-800 p-4">
-      {showGameModeSelection ? (
-        <GameMenu aiDifficulty={aiDifficulty} startGame={startGame} />
+      {showReplay && replay ? (
+        <ReplayViewer replay={replay} onClose={() => setShowReplay(false)} />
+      ) : showGameModeSelection ? (
+        <GameMenu
+          aiDifficulty={aiDifficulty}
+          setAiDifficulty={chooseAiDifficulty}
+          humanTeam={humanTeam}
+          setHumanTeam={setHumanTeam}
+          exhibitionDifficulty={exhibitionDifficulty}
+          setExhibitionDifficulty={setExhibitionDifficulty}
+          startGame={startGame}
+          matchRules={matchRules}
+          setMatchRules={setMatchRules}
+          physicsBackend={physicsBackend}
+          setPhysicsBackend={setPhysicsBackend}
+          arenaId={arenaId}
+          setArenaId={setArenaId}
+          savedMatches={savedMatches}
+          onResumeMatch={resumeMatch}
+          onDeleteSave={deleteSavedMatch}
+          replay={replay && replay.shots.length > 0 ? replay : null}
+          onWatchReplay={() => setShowReplay(true)}
+          onOpenReplay={openReplay}
+        />
       ) : showMatchmakingQueue ? (
         <MatchmakingQueue onCancel={cancelMatchmaking} />
       ) : showMultiplayerMenu ? (
@@ -1377,7 +1943,7 @@ function SoccerStarsGame() {
           opponentReady={opponentReady}
           playerReady={playerReady}
         />
-      ) : gameOver ? (
+      ) : gameOver && !goalReplay ? (
         // Game Over Screen
         <div className="flex flex-col items-center justify-center bg-gray-700 rounded-lg p-8 shadow-lg text-white max-w-[400px] w-full">
           <h2 className="text-3xl font-bold mb-6">Game Over!</h2>
@@ -1386,10 +1952,17 @@ function SoccerStarsGame() {
               <span className="font-bold">{disconnectMessage}</span>
             ) : winner === 1 ? (
               <span className="text-red-500 font-bold">Red Team Wins!</span>
-            ) : (
+            ) : winner === 2 ? (
               <span className="text-blue-500 font-bold">Blue Team Wins!</span>
+            ) : (
+              <span className="font-bold">It's a draw!</span>
             )}
           </div>
+          {!disconnectMessage && endReason && (
+            <div className="mb-4 text-gray-300">
+              {describeMatchEnd(endReason, gameState.rules)}
+            </div>
+          )}
           <div className="mb-4 text-xl">
             Final Score:{" "}
             <span className="text-red-500 font-bold">
@@ -1400,6 +1973,42 @@ function SoccerStarsGame() {
               {gameState.score.team2}
             </span>
           </div>
+          {/* Match stats */}
+          {!disconnectMessage && (
+            <div className="mb-4 w-full text-sm text-gray-300">
+              {gameState.stats.goals.map((goal, index) => (
+                <div key={index} className="flex justify-between">
+                  <span
+                    className={
+                      goal.team === 1 ? "text-red-400" : "text-blue-400"
+                    }
+                  >
+                    {describePiece(goal.scorerId) || "Unknown"}
+                    {goal.ownGoal && " (own goal)"}
+                  </span>
+                  <span>Turn {goal.turn}</span>
+                </div>
+              ))}
+              <div className="mt-2 flex justify-between">
+                <span>Fouls</span>
+                <span>
+                  <span className="text-red-400">
+                    {gameState.stats.fouls.team1}
+                  </span>{" "}
+                  -{" "}
+                  <span className="text-blue-400">
+                    {gameState.stats.fouls.team2}
+                  </span>
+                </span>
+              </div>
+            </div>
+          )}
+          {replay && replay.shots.length > 0 && (
+            <ReplayActions
+              replay={replay}
+              onWatch={() => setShowReplay(true)}
+            />
+          )}
           <div className="mt-4">
             <button
               className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-6 rounded-lg transition-colors"
@@ -1433,27 +2042,91 @@ function SoccerStarsGame() {
           <div className="mb-4 w-full max-w-[400px] flex justify-between items-center text-white">
             <div className="text-red-500 font-bold text-xl">
               Red: {gameState.score.team1}
+              {gameState.rules.ownAreaPenalty !== PENALTIES.NONE && (
+                <div className="text-xs font-normal text-gray-300">
+                  Fouls: {gameState.stats.fouls.team1}
+                </div>
+              )}
             </div>
             <div className="bg-gray-600 px-3 py-1 rounded-lg text-sm">
-              {gameState.isMoving ? (
+              {goalReplay ? (
+                <span>Goal replay</span>
+              ) : gameState.isMoving ? (
                 <span>Balls in motion...</span>
               ) : (
                 <span>
                   {gameState.currentTeam === 1 ? "🔴 Red" : "🔵 Blue"}'s turn
-                  {gameState.currentTeam === 2 && gameMode === GAME_MODES.VS_AI
-                    ? " (AI)"
-                    : ""}
+                  {currentAIDifficulty ? " (AI)" : ""}
                   {!gameState.selectedPlayerId &&
-                    gameState.currentTeam === 1 &&
+                    !currentAIDifficulty &&
                     " - Select a player"}
+                  {isDragging && " - Q/E or wheel to spin"}
                 </span>
               )}
             </div>
             <div className="text-blue-500 font-bold text-xl">
               Blue: {gameState.score.team2}
+              {gameState.rules.ownAreaPenalty !== PENALTIES.NONE && (
+                <div className="text-xs font-normal text-gray-300">
+                  Fouls: {gameState.stats.fouls.team2}
+                </div>
+              )}
             </div>
           </div>
 
+          {/* Match rules */}
+          <div className="mb-4 w-full max-w-[400px] flex justify-center gap-2 text-xs text-white">
+            {gameState.rules.targetGoals !== null && (
+              <span className="bg-gray-600 px-2 py-1 rounded-full">
+                First to {gameState.rules.targetGoals}
+              </span>
+            )}
+            {getRemainingTime(gameState) !== null && (
+              <span className="bg-gray-600 px-2 py-1 rounded-full">
+                ⏱ {formatClock(getRemainingTime(gameState))}
+              </span>
+            )}
+            {gameState.rules.maxTurns !== null && (
+              <span className="bg-gray-600 px-2 py-1 rounded-full">
+                Turn {Math.min(gameState.turnCount + 1, gameState.rules.maxTurns)}
+                /{gameState.rules.maxTurns}
+              </span>
+            )}
+            {gameState.rules.kickoff === KICKOFF_RULES.ALTERNATE && (
+              <span className="bg-gray-600 px-2 py-1 rounded-full">
+                Alternating kickoffs
+              </span>
+            )}
+            {gameState.rules.extraTurnOnGoal && (
+              <span className="bg-gray-600 px-2 py-1 rounded-full">
+                Scorer kicks off
+              </span>
+            )}
+            {gameState.rules.extraTurnOnTouch && (
+              <span className="bg-gray-600 px-2 py-1 rounded-full">
+                Touch = extra turn
+              </span>
+            )}
+            {gameState.rules.ownAreaPenalty !== PENALTIES.NONE && (
+              <span className="bg-gray-600 px-2 py-1 rounded-full">
+                {gameState.rules.ownAreaPenalty === PENALTIES.FREE_SHOT
+                  ? "Own-area foul = free shot"
+                  : "Own-area fouls"}
+              </span>
+            )}
+            {gameState.freeShotTeam === gameState.currentTeam &&
+              !gameState.isMoving && (
+                <span className="bg-orange-500 font-bold px-2 py-1 rounded-full">
+                  Free shot
+                </span>
+              )}
+            {gameState.overtime && (
+              <span className="bg-yellow-500 text-gray-900 font-bold px-2 py-1 rounded-full">
+                Golden goal
+              </span>
+            )}
+          </div>
+
           {/* Turn Timer */}
           {gameMode === GAME_MODES.ONLINE &&
             turnTimeLeft !== null &&
@@ -1471,6 +2144,31 @@ function SoccerStarsGame() {
               </div>
             )}
 
+          {/* Online takeback request */}
+          {gameMode === GAME_MODES.ONLINE && takebackRequest && (
+            <div className="mb-4 w-full max-w-[400px] flex justify-center items-center gap-2 text-white text-sm">
+              {takebackRequest.team === playerTeam ? (
+                <span>Waiting for your opponent to allow the takeback...</span>
+              ) : (
+                <>
+                  <span>Your opponent wants to take back their last shot</span>
+                  <button
+                    className="bg-green-600 hover:bg-green-700 px-3 py-1 rounded-md"
+                    onClick={() => handleTakebackAnswer(true)}
+                  >
+                    Allow
+                  </button>
+                  <button
+                    className="bg-red-600 hover:bg-red-700 px-3 py-1 rounded-md"
+                    onClick={() => handleTakebackAnswer(false)}
+                  >
+                    Decline
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+
           <style
             dangerouslySetInnerHTML={{
               __html: `
@@ -1515,145 +2213,327 @@ function SoccerStarsGame() {
             </div>
           )}
 
-          <div
-            ref={containerRef}
-            className={`relative w-full max-w-[400px] h-[600px] border-4 border-gray-400 rounded-lg overflow-hidden cursor-default ${
-              cameraShake ? "camera-shake" : ""
-            }`}
-            style={{
-              touchAction: "none",
-              backgroundImage: `url(${fieldImage})`,
-              backgroundSize: "cover",
-              backgroundPosition: "center",
-            }}
-          >
-            {/* Field markings - Rotated 90 degrees */}
-            <div className="absolute top-0 left-0 w-full h-full">
-              {/* Center circle */}
-              <div
-                className="absolute top-1/2 left-1/2 w-24 h-24 border-2 border-white rounded-full opacity-50"
-                style={{ transform: "translate(-50%, -50%)" }}
-              ></div>
-              {/* Center line - now horizontal */}
-              <div
-                className="absolute left-0 top-1/2 w-full h-0.5 bg-white opacity-50"
-                style={{ transform: "translateY(-50%)" }}
-              ></div>
-
-              {/* Top goal */}
-              <div
-                className="absolute top-0 left-1/2 h-2 w-24 bg-gray-200"
-                style={{ transform: "translateX(-50%)" }}
-              ></div>
-              {/* Bottom goal */}
-              <div
-                className="absolute bottom-0 left-1/2 h-2 w-24 bg-gray-200"
-                style={{ transform: "translateX(-50%)" }}
-              ></div>
-            </div>
-
-            {/* Players and ball */}
-            {gameState.balls.map((ball) => {
-              const isCurrentTeamPlayer =
-                ball.isPlayer && ball.team === gameState.currentTeam;
-              const isSelected = ball.id === gameState.selectedPlayerId;
+          <div ref={boardAreaRef} className="w-full flex justify-center">
+            <div
+              className={cameraShake ? "relative camera-shake" : "relative"}
+              style={{
+                width: `${view.width}px`,
+                height: `${view.height}px`,
+                overflow: goalReplay ? "hidden" : undefined,
+              }}
+            >
+              {/* AI thinking indicator */}
+              {aiProgress !== null && (
+                <div
+                  className="absolute left-1/2 top-2 flex items-center gap-2 bg-gray-900 bg-opacity-75 text-white text-xs font-bold px-3 py-1 rounded-full pointer-events-none"
+                  style={{ transform: "translateX(-50%)", zIndex: 200 }}
+                >
+                  <span>AI thinking…</span>
+                  <div className="w-16 h-1.5 bg-gray-600 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-blue-400"
+                      style={{ width: `${Math.round(aiProgress * 100)}%` }}
+                    />
+                  </div>
+                </div>
+              )}
 
-              return (
+              {/* Goal replay controls - outside the board so they don't zoom */}
+              {goalReplay && (
                 <div
-                  key={ball.id}
-                  ref={isSelected ? activePlayerRef : null}
-                  className={`absolute select-none flex items-center justify-center 
-                        ${
-                          !gameState.isMoving && isCurrentTeamPlayer
-                            ? "hover:ring-2 hover:ring-yellow-300"
-                            : ""
-                        }
-                        ${
-                          isSelected
-                            ? "ring-2 ring-yellow-300 rounded-full"
-                            : ""
-                        }`}
-                  style={{
-                    width: `${ball.size}px`,
-                    height: `${ball.size}px`,
-                    left: `${ball.pos.x}px`,
-                    top: `${ball.pos.y}px`,
-                    transform: "translate(-50%, -50%)",
-                    touchAction: "none",
-                    zIndex: ball.id === "ball" ? 5 : 10,
-                    cursor:
-                      !gameState.isMoving && isCurrentTeamPlayer
-                        ? "pointer"
-                        : "default",
-                    opacity:
-                      !gameState.isMoving && isCurrentTeamPlayer ? 1 : 0.8,
-                    backgroundImage:
-                      ball.id === "ball"
-                        ? `url(${ballImage})`
-                        : ball.team === 1
-                        ? `url(${playerImage})`
-                        : `url(${opponentImage})`,
-                    backgroundSize: "contain",
-                    backgroundPosition: "center",
-                    backgroundRepeat: "no-repeat",
-                  }}
-                  onMouseDown={
-                    !gameState.isMoving &&
-                    ((gameMode === GAME_MODES.ONLINE &&
-                      ball.team === playerTeam &&
-                      ball.team === gameState.currentTeam) ||
-                      (gameMode !== GAME_MODES.ONLINE && isCurrentTeamPlayer))
-                      ? (e) => handleInteractionStart(e, ball.id)
-                      : undefined
-                  }
-                  onTouchStart={
+                  className="absolute inset-x-0 top-0 flex justify-between items-center p-2 text-white text-sm"
+                  style={{ zIndex: 200 }}
+                >
+                  <span className="bg-red-600 font-bold px-2 py-1 rounded">
+                    REPLAY
+                  </span>
+                  <div className="flex gap-2">
+                    <button
+                      className="bg-gray-900 bg-opacity-70 hover:bg-opacity-90 px-2 py-1 rounded"
+                      onClick={() => setFollowCam(!followCam)}
+                    >
+                      {followCam ? "Full view" : "Follow ball"}
+                    </button>
+                    <button
+                      className="bg-gray-900 bg-opacity-70 hover:bg-opacity-90 px-2 py-1 rounded"
+                      onClick={skipGoalReplay}
+                    >
+                      Skip ⏭
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              <div
+                ref={containerRef}
+                className="relative cursor-default"
+                style={{
+                  touchAction: "none",
+                  width: `${gameState.field.width}px`,
+                  height: `${gameState.field.height + pitchOffset * 2}px`,
+                  transform: boardTransform,
+                  transformOrigin: "top left",
+                }}
+              >
+                {/* Goal and foul announcements */}
+                {announcement && (
+                  <div
+                    className="absolute left-1/2 top-1/2 px-4 py-2 rounded-lg bg-gray-900 bg-opacity-80 text-white font-bold text-center pointer-events-none"
+                    style={{ transform: "translate(-50%, -50%)", zIndex: 30 }}
+                  >
+                    {announcement}
+                  </div>
+                )}
+
+                <FieldView field={gameState.field} pitchOffset={pitchOffset} />
+
+                {/* Players and ball */}
+                {renderedBalls.map((ball) => {
+                  // Pieces of a team the AI plays can't be picked up
+                  const isCurrentTeamPlayer =
+                    ball.isPlayer &&
+                    ball.team === gameState.currentTeam &&
+                    !currentAIDifficulty;
+                  const isSelected = isEditing
+                    ? ball.id === editSelectedId
+                    : ball.id === gameState.selectedPlayerId;
+                  const canShoot =
                     !gameState.isMoving &&
                     ((gameMode === GAME_MODES.ONLINE &&
                       ball.team === playerTeam &&
                       ball.team === gameState.currentTeam) ||
-                      (gameMode !== GAME_MODES.ONLINE && isCurrentTeamPlayer))
-                      ? (e) => handleInteractionStart(e, ball.id)
-                      : undefined
-                  }
-                  onClick={
-                    !gameState.isMoving && isCurrentTeamPlayer
-                      ? () => selectPlayer(ball.id)
-                      : undefined
-                  }
-                ></div>
-              );
-            })}
-
-            {/* Shooting arrow */}
-            {isDragging && <div style={getArrowStyle()}></div>}
-
-            {/* Game control buttons */}
-            <div className="absolute bottom-4 right-4 flex space-x-2">
-              <button
-                className="bg-gray-700 text-white px-3 py-1 rounded-md hover:bg-gray-600"
-                onClick={returnToModeSelection}
-              >
-                Menu
-              </button>
-              <button
-                className="bg-gray-700 text-white px-3 py-1 rounded-md hover:bg-gray-600"
-                onClick={handleRestart}
-              >
-                Restart
-              </button>
-            </div>
+                      (gameMode !== GAME_MODES.ONLINE && isCurrentTeamPlayer));
+                  // In the sandbox editor every piece can be picked up
+                  const startInteraction = isEditing
+                    ? (e) => startPieceDrag(e, ball.id)
+                    : canShoot
+                    ? (e) => handleInteractionStart(e, ball.id)
+                    : undefined;
+                  const isMisplaced =
+                    editPlacement &&
+                    ball.id === editDrag.id &&
+                    !editPlacement.valid;
+
+                  return (
+                    <div
+                      key={ball.id}
+                      ref={isSelected ? activePlayerRef : null}
+                      className={`absolute select-none flex items-center justify-center 
+                            ${
+                              !gameState.isMoving && isCurrentTeamPlayer
+                                ? "hover:ring-2 hover:ring-yellow-300"
+                                : ""
+                            }
+                            ${
+                              isSelected
+                                ? "ring-2 ring-yellow-300 rounded-full"
+                                : ""
+                            }`}
+                      style={{
+                        width: `${ball.size}px`,
+                        height: `${ball.size}px`,
+                        left: `${ball.pos.x}px`,
+                        top: `${ball.pos.y + pitchOffset}px`,
+                        transform: "translate(-50%, -50%)",
+                        touchAction: "none",
+                        zIndex: ball.id === "ball" ? 5 : 10,
+                        cursor: isEditing
+                          ? "move"
+                          : !gameState.isMoving && isCurrentTeamPlayer
+                          ? "pointer"
+                          : "default",
+                        opacity: isMisplaced
+                          ? 0.4
+                          : isEditing ||
+                            (!gameState.isMoving && isCurrentTeamPlayer)
+                          ? 1
+                          : 0.8,
+                        backgroundImage:
+                          ball.id === "ball"
+                            ? `url(${ballImage})`
+                            : ball.team === 1
+                            ? `url(${playerImage})`
+                            : `url(${opponentImage})`,
+                        backgroundSize: "contain",
+                        backgroundPosition: "center",
+                        backgroundRepeat: "no-repeat",
+                      }}
+                      onMouseDown={startInteraction}
+                      onTouchStart={startInteraction}
+                      onClick={
+                        !isEditing && !gameState.isMoving && isCurrentTeamPlayer
+                          ? () => selectPlayer(ball.id)
+                          : undefined
+                      }
+                    ></div>
+                  );
+                })}
+
+                {/* Shooting arrow */}
+                {isDragging && <div style={getArrowStyle()}></div>}
+
+                {/* Aim line */}
+                {aimPreview && (
+                  <svg
+                    className="absolute left-0 pointer-events-none"
+                    style={{ top: `${pitchOffset}px`, overflow: "visible", zIndex: 99 }}
+                    width={gameState.field.width}
+                    height={gameState.field.height}
+                  >
+                    <polyline
+                      points={aimPreview.path
+                        .map((point) => `${point.x},${point.y}`)
+                        .join(" ")}
+                      fill="none"
+                      stroke={ARROW_COLOR}
+                      strokeWidth="2"
+                      strokeDasharray="6 4"
+                    />
+                    {aimPreview.ballPath && (
+                      <polyline
+                        points={aimPreview.ballPath
+                          .map((point) => `${point.x},${point.y}`)
+                          .join(" ")}
+                        fill="none"
+                        stroke="rgba(253, 224, 71, 0.8)"
+                        strokeWidth="2"
+                        strokeDasharray="2 4"
+                      />
+                    )}
+                    {aimPreview.contact && (
+                      <>
+                        {/* Ghost of the struck piece at impact */}
+                        <circle
+                          cx={aimPreview.contact.pos.x}
+                          cy={aimPreview.contact.pos.y}
+                          r={getSelectedPlayer()?.size / 2 || 0}
+                          fill="none"
+                          stroke={ARROW_COLOR}
+                          strokeWidth="2"
+                        />
+                        <circle
+                          cx={aimPreview.contact.point.x}
+                          cy={aimPreview.contact.point.y}
+                          r="3"
+                          fill="white"
+                        />
+                        {aimPreview.contact.direction && (
+                          <line
+                            x1={aimPreview.contact.origin.x}
+                            y1={aimPreview.contact.origin.y}
+                            x2={
+                              aimPreview.contact.origin.x +
+                              aimPreview.contact.direction.x *
+                                AIM_DEFLECTION_LENGTH
+                            }
+                            y2={
+                              aimPreview.contact.origin.y +
+                              aimPreview.contact.direction.y *
+                                AIM_DEFLECTION_LENGTH
+                            }
+                            stroke="rgba(253, 224, 71, 0.9)"
+                            strokeWidth="3"
+                            strokeLinecap="round"
+                          />
+                        )}
+                      </>
+                    )}
+                  </svg>
+                )}
+
+                {/* Spin indicator */}
+                {isDragging && dragSpin !== 0 && getSelectedPlayer() && (
+                  <div
+                    className="absolute bg-gray-900 bg-opacity-75 text-yellow-300 text-xs font-bold px-2 py-0.5 rounded-full pointer-events-none"
+                    style={{
+                      left: `${getSelectedPlayer().pos.x}px`,
+                      top: `${getSelectedPlayer().pos.y + pitchOffset + 28}px`,
+                      transform: "translateX(-50%)",
+                      zIndex: 100,
+                    }}
+                  >
+                    {dragSpin < 0 ? "↺" : "↻"} Spin{" "}
+                    {Math.round(Math.abs(dragSpin) * 100)}%
+                  </div>
+                )}
+
+                {/* Game control buttons */}
+                <div
+                  className="absolute right-4 flex space-x-2"
+                  style={{ bottom: `${pitchOffset + 16}px`, zIndex: 20 }}
+                >
+                  <button
+                    className="bg-gray-700 text-white px-3 py-1 rounded-md hover:bg-gray-600"
+                    onClick={returnToModeSelection}
+                  >
+                    Menu
+                  </button>
+                  <button
+                    className="bg-gray-700 text-white px-3 py-1 rounded-md hover:bg-gray-600"
+                    onClick={handleRestart}
+                  >
+                    Restart
+                  </button>
+                  {gameState.rules.takebacks !== 0 && (
+                    <button
+                      className="bg-gray-700 text-white px-3 py-1 rounded-md hover:bg-gray-600 disabled:opacity-50 disabled:hover:bg-gray-700"
+                      disabled={!canTakeBack}
+                      onClick={handleTakeback}
+                    >
+                      {gameMode === GAME_MODES.ONLINE ? "Takeback" : "Undo"}
+                      {Number.isFinite(takebacksLeft) && ` (${takebacksLeft})`}
+                    </button>
+                  )}
+                </div>
 
-            {/* AI Difficulty Controls removed - game always uses hard difficulty */}
+              </div>
+            </div>
           </div>
 
+          {gameMode === GAME_MODES.SANDBOX && (
+            <div className="mt-4 w-full flex justify-center">
+              <SandboxPanel
+                editing={sandboxEditing}
+                onToggleEditing={toggleSandboxEditing}
+                isMoving={gameState.isMoving}
+                currentTeam={gameState.currentTeam}
+                onSetTeam={(team) =>
+                  setGameState((prev) => setTeamToPlay(prev, team))
+                }
+                hasBall={gameState.balls.some((b) => b.id === "ball")}
+                selectedPieceId={editSelectedId}
+                onAddPiece={(team) =>
+                  setGameState((prev) => addPiece(prev, team))
+                }
+                onRemovePiece={removeSandboxPiece}
+                positions={sandboxPositions}
+                onSavePosition={saveSandboxPosition}
+                onLoadPosition={openSandboxPosition}
+                onDeletePosition={deleteSandboxPosition}
+              />
+            </div>
+          )}
+
           <div className="mt-4 text-white text-center">
             <p className="text-sm px-2">
               {gameMode === GAME_MODES.VS_PLAYER
                 ? "Click on any of your team players to select, then drag to shoot. Take turns to score in the opponent's goal."
-                : "You play as Red. Click on any of your players to select, then drag to shoot. The AI plays as Blue."}
+                : gameMode === GAME_MODES.SANDBOX
+                ? "Edit the position, then press Play to practise shots from it. Either team can shoot."
+                : gameMode === GAME_MODES.AI_VS_AI
+                ? "Sit back and watch the two AIs play each other."
+                : `You play as ${humanTeam === 1 ? "Red" : "Blue"}. Click on any of your players to select, then drag to shoot. The AI plays as ${humanTeam === 1 ? "Blue" : "Red"}.`}
             </p>
             {gameMode === GAME_MODES.VS_AI && (
-              <p className="mt-2 text-xs text-gray-400">AI Difficulty: Hard</p>
+              <p className="mt-2 text-xs text-gray-400 capitalize">
+                AI Difficulty: {aiDifficulty}
+              </p>
+            )}
+            {gameMode === GAME_MODES.AI_VS_AI && (
+              <p className="mt-2 text-xs text-gray-400 capitalize">
+                Red AI: {exhibitionDifficulty[1]} · Blue AI:{" "}
+                {exhibitionDifficulty[2]}
+              </p>
             )}
           </div>
         </>
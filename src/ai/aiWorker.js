@@ -0,0 +1,66 @@
+import { planAIMove } from './GameAI';
+
+// AI worker - plans the AI's moves off the main thread, so the board keeps
+// rendering and taking input while the AI thinks.
+//
+// Messages in:
+//   { type: 'search', id, state, team, aiDifficulty } - plan a move
+//   { type: 'cancel', id } - abandon the search
+// Messages out:
+//   { type: 'progress', id, progress, evaluated } - progress from 0 to 1
+//   { type: 'move', id, move } - the planned move, or null if there is none
+//   { type: 'cancelled', id }
+//   { type: 'error', id, message }
+//
+// A search is stepped in slices, with a break between them for messages to
+// come in, so a cancel takes effect within one slice.
+
+const SLICE_MS = 20;
+
+// Search in progress { id, steps, cancelled }
+let current = null;
+
+const runSlice = (job) => {
+  if (job.cancelled) {
+    self.postMessage({ type: 'cancelled', id: job.id });
+    return;
+  }
+
+  try {
+    const sliceEnd = performance.now() + SLICE_MS;
+    let step = job.steps.next();
+    while (!step.done && performance.now() < sliceEnd) {
+      step = job.steps.next();
+    }
+
+    if (step.done) {
+      if (current === job) current = null;
+      self.postMessage({ type: 'move', id: job.id, move: step.value });
+      return;
+    }
+
+    self.postMessage({ type: 'progress', id: job.id, ...step.value });
+    setTimeout(() => runSlice(job), 0);
+  } catch (error) {
+    if (current === job) current = null;
+    self.postMessage({ type: 'error', id: job.id, message: error.message });
+  }
+};
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'search') {
+    // A new search replaces any still running
+    if (current) current.cancelled = true;
+    current = {
+      id: data.id,
+      steps: planAIMove(data.state, data.team, data.aiDifficulty),
+      cancelled: false
+    };
+    runSlice(current);
+  } else if (data.type === 'cancel') {
+    if (current && current.id === data.id) {
+      current.cancelled = true;
+      current = null;
+    }
+  }
+};
@@ -0,0 +1,404 @@
+import { AI_EVAL_WEIGHTS, MAX_PULL_DISTANCE, MAX_SPIN, POWER_FACTOR } from '../constants.js';
+import { resolveStepEvents, takeShot } from '../game/gameState.js';
+import { otherTeam } from '../game/rules.js';
+import { getMaterial, simulateToRest } from '../physics/engine.js';
+
+// Simulation-based shot search for the AI.
+// Candidate shots - a piece, an angle, a power and a spin - are each played
+// out with the real physics until the pieces stop, and the outcome is scored
+// by evaluateOutcome. Candidates are tried most promising first, so when the
+// time budget runs out the shots left untried are the unlikely ones. Deeper
+// searches then refine the best shots found with small changes of angle and
+// power, and try curling them with spin.
+//
+// The evaluation weighs attack - scoring and moving the ball up the pitch -
+// against defence. When the opponent would have an open shot at goal, a
+// piece standing in the shooting lane, a piece parked in front of the goal
+// and a ball cleared out to a side wall all count for the team. The
+// difficulty profiles set how much each side matters.
+//
+// Rollouts use the circle solver, which online matches use as well; with the
+// matter-js backend they are a close approximation.
+//
+// Shot power is in pull distance, from 0 to MAX_PULL_DISTANCE, as for a
+// player dragging a piece.
+
+const ROLLOUT_MAX_STEPS = 600; // Pieces still moving after this are scored where they are
+const AIMED_POWERS = [0.65, 1]; // Shares of the full pull for shots at goal
+const FAN_ANGLES = [0, -0.3, 0.3, -0.7, 0.7, -1.2, 1.2, Math.PI]; // Offsets from the line to the ball
+const FAN_POWERS = [0.5, 1];
+const REFINE_COUNT = 4; // Best shots refined by deeper searches
+const REFINE_ANGLES = [-0.05, -0.02, 0.02, 0.05];
+const REFINE_POWERS = [0.85, 1.15];
+const REFINE_SPINS = [-MAX_SPIN, -MAX_SPIN / 2, MAX_SPIN / 2, MAX_SPIN];
+const DEFENCE_FIRST_THREAT = 0.3; // Threat above which defensive shots are tried first
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * Middle of the goal line a team scores on
+ * @param {Object} field - Field description
+ * @param {Number} team - Team number (1 or 2)
+ * @returns {Object} { goal, pos } - the goal, and the middle of its line {x, y}
+ */
+const getTargetGoal = (field, team) => {
+  const goal = field.goals.find(g => g.scoringTeam === team);
+  return { goal, pos: { x: goal.x, y: goal.side === 'top' ? 0 : field.height } };
+};
+
+/**
+ * Distance from a point to a line segment
+ * @param {Object} point - Point {x, y}
+ * @param {Object} from - Segment start {x, y}
+ * @param {Object} to - Segment end {x, y}
+ * @returns {Number} Distance
+ */
+const distanceToSegment = (point, from, to) => {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((point.x - from.x) * dx + (point.y - from.y) * dy) / lengthSquared));
+  return distance(point, { x: from.x + t * dx, y: from.y + t * dy });
+};
+
+/**
+ * Whether one of a team's pieces stands between the ball and the goal the
+ * team defends
+ * @param {Object} state - Game state at rest
+ * @param {Number} team - Defending team
+ * @returns {Boolean} True if the shooting lane is blocked
+ */
+const isLaneBlocked = (state, team) => {
+  const ball = state.balls.find(b => b.id === 'ball');
+  const goalPos = getTargetGoal(state.field, otherTeam(team)).pos;
+
+  return state.balls.some(piece => (
+    piece.isPlayer &&
+    piece.team === team &&
+    distanceToSegment(piece.pos, ball.pos, goalPos) < (piece.size + ball.size) / 2
+  ));
+};
+
+/**
+ * How well a team's goal is kept, from 0 (nobody near) to 1 (a piece right
+ * in front of it)
+ * @param {Object} state - Game state at rest
+ * @param {Number} team - Defending team
+ * @returns {Number} Cover
+ */
+const getKeeperCover = (state, team) => {
+  const { goal, pos: goalPos } = getTargetGoal(state.field, otherTeam(team));
+
+  return state.balls.reduce((cover, piece) => (
+    piece.isPlayer && piece.team === team
+      ? Math.max(cover, 1 - Math.min(1, distance(piece.pos, goalPos) / goal.width))
+      : cover
+  ), 0);
+};
+
+/**
+ * How close the ball is to a side wall, from 0 (middle of the pitch) to 1
+ * @param {Object} state - Game state at rest
+ * @returns {Number} Closeness
+ */
+const getWallCloseness = (state) => {
+  const ball = state.balls.find(b => b.id === 'ball');
+  const halfWidth = state.field.width / 2;
+  return Math.abs(ball.pos.x - halfWidth) / halfWidth;
+};
+
+/**
+ * How well a team can shoot at goal from a position, from 0 to 1
+ *
+ * A rough measure: the closer the ball is to the goal, and the better one of
+ * the team's pieces is lined up behind it, the higher it is.
+ *
+ * @param {Object} state - Game state at rest
+ * @param {Number} team - Team that shoots next
+ * @returns {Number} Threat
+ */
+const getThreat = (state, team) => {
+  const ball = state.balls.find(b => b.id === 'ball');
+  if (!ball) return 0;
+
+  const { field } = state;
+  const target = getTargetGoal(field, team).pos;
+  const toGoal = distance(ball.pos, target);
+  const closeness = 1 - Math.min(1, toGoal / field.height);
+
+  let lineUp = 0;
+  for (const piece of state.balls) {
+    if (!piece.isPlayer || piece.team !== team) continue;
+    const toBall = distance(piece.pos, ball.pos);
+    if (toBall === 0 || toGoal === 0) continue;
+
+    // Cosine between the piece-to-ball and ball-to-goal lines
+    const alignment = (
+      (ball.pos.x - piece.pos.x) * (target.x - ball.pos.x) +
+      (ball.pos.y - piece.pos.y) * (target.y - ball.pos.y)
+    ) / (toBall * toGoal);
+    const reach = 1 - Math.min(1, toBall / field.height);
+    lineUp = Math.max(lineUp, Math.max(0, alignment) * reach);
+  }
+
+  return closeness * (0.5 + 0.5 * lineUp);
+};
+
+/**
+ * Score the outcome of a shot for the team that took it
+ *
+ * @param {Object} before - Game state the shot was taken from
+ * @param {Object} outcome - { state, goal, foul, turnOver } from resolveStepEvents
+ * @param {Number} team - Team that took the shot
+ * @param {Object} style - { attack, defence } - how much the attacking and
+ *   defensive parts of the score count
+ * @returns {Number} Score; higher is better for the team
+ */
+export const evaluateOutcome = (before, outcome, team, { attack = 1, defence = 1 } = {}) => {
+  if (outcome.goal) {
+    return outcome.goal.team === team ? AI_EVAL_WEIGHTS.goal : -AI_EVAL_WEIGHTS.goal;
+  }
+
+  const { state } = outcome;
+  const ballBefore = before.balls.find(b => b.id === 'ball');
+  const ballAfter = state.balls.find(b => b.id === 'ball');
+  if (!ballBefore || !ballAfter) return 0;
+
+  // Ball moved towards the opponent's goal, per pitch length
+  const target = getTargetGoal(state.field, team).pos;
+  const progress = (distance(ballBefore.pos, target) - distance(ballAfter.pos, target)) /
+    state.field.height;
+
+  // Chance left to the opponent, unless the rules give the team another
+  // shot - less of one with the lane blocked or the goal kept. A shot still
+  // rolling when the rollout stopped has not changed the turn yet; it is
+  // scored as if the turn passes, so long rolls don't look safe.
+  const keepsTurn = outcome.turnOver && state.currentTeam === team;
+  const danger = keepsTurn ? 0 : getThreat(state, otherTeam(team));
+  const cover = (isLaneBlocked(state, team) ? AI_EVAL_WEIGHTS.block : 0) +
+    AI_EVAL_WEIGHTS.goalkeeper * getKeeperCover(state, team);
+
+  // Getting the ball out towards a wall when the opponent had a chance
+  const clearance = getThreat(before, otherTeam(team)) *
+    Math.max(0, getWallCloseness(state) - getWallCloseness(before));
+
+  return attack * AI_EVAL_WEIGHTS.progress * progress +
+    defence * (
+      danger * (cover - AI_EVAL_WEIGHTS.danger) +
+      AI_EVAL_WEIGHTS.clear * clearance
+    ) -
+    (outcome.foul ? AI_EVAL_WEIGHTS.foul : 0);
+};
+
+/**
+ * Play a shot out until the pieces stop
+ * @param {Object} state - Game state at rest
+ * @param {Object} shot - { pieceId, angle, power, spin }
+ * @returns {Object} { state, goal, foul, turnOver } - see resolveStepEvents;
+ *   turnOver is false if the pieces were still moving after ROLLOUT_MAX_STEPS
+ */
+const rollout = (state, shot) => {
+  const result = simulateToRest(
+    takeShot(state, {
+      pieceId: shot.pieceId,
+      direction: { x: Math.cos(shot.angle), y: Math.sin(shot.angle) },
+      power: shot.power * POWER_FACTOR,
+      spin: shot.spin
+    }),
+    { maxSteps: ROLLOUT_MAX_STEPS }
+  );
+  return resolveStepEvents(result.state, result.events);
+};
+
+/**
+ * Candidate shots for a team, most promising first
+ *
+ * Shots that strike the ball towards the goal - at each post and the
+ * middle - ordered by how straight and short they are, come first. When the
+ * opponent has a chance, the defensive shots go before them: each piece
+ * moving into the shooting lane or in front of the goal, and clearances
+ * out to the side walls. Last, for every piece, a fan of shots around the
+ * line to the ball, for when nothing else works out.
+ *
+ * @param {Object} state - Game state at rest
+ * @param {Number} team - Team to shoot
+ * @returns {Array} Shots { pieceId, angle, power, spin }
+ */
+const getCandidates = (state, team) => {
+  const ball = state.balls.find(b => b.id === 'ball');
+  const pieces = state.balls.filter(b => b.isPlayer && b.team === team);
+  if (!ball) return [];
+
+  const { field } = state;
+  const { goal, pos: goalPos } = getTargetGoal(field, team);
+  const ownGoalPos = getTargetGoal(field, otherTeam(team)).pos;
+  const intoField = ownGoalPos.y === 0 ? 1 : -1;
+
+  // Shots striking the ball towards a point, by how straight and short they are
+  const strikesTowards = (points) => {
+    const strikes = [];
+    for (const piece of pieces) {
+      for (const point of points) {
+        const toPoint = distance(ball.pos, point);
+        if (toPoint === 0) continue; // The ball is already there
+        const dirX = (point.x - ball.pos.x) / toPoint;
+        const dirY = (point.y - ball.pos.y) / toPoint;
+
+        // Where the piece has to be when it hits the ball for the ball to go
+        // that way
+        const contactDistance = (ball.size + piece.size) / 2;
+        const ghost = { x: ball.pos.x - dirX * contactDistance, y: ball.pos.y - dirY * contactDistance };
+        const approach = distance(piece.pos, ghost);
+        if (approach === 0) continue;
+
+        const cut = ((ghost.x - piece.pos.x) * dirX + (ghost.y - piece.pos.y) * dirY) / approach;
+        if (cut <= 0) continue; // The piece is on the wrong side of the ball
+
+        const angle = Math.atan2(ghost.y - piece.pos.y, ghost.x - piece.pos.x);
+        const prior = cut - approach / field.height;
+        for (const share of AIMED_POWERS) {
+          strikes.push({ shot: { pieceId: piece.id, angle, power: share * MAX_PULL_DISTANCE, spin: 0 }, prior });
+        }
+      }
+    }
+    return strikes.sort((a, b) => b.prior - a.prior).map(({ shot }) => shot);
+  };
+
+  const aimed = strikesTowards(
+    [goal.x - goal.width / 4, goal.x, goal.x + goal.width / 4].map(x => ({ x, y: goalPos.y }))
+  );
+
+  // Moving pieces to the middle of the shooting lane and in front of the goal,
+  // hard enough to stop there
+  const laneSpot = { x: (ball.pos.x + ownGoalPos.x) / 2, y: (ball.pos.y + ownGoalPos.y) / 2 };
+  const moves = [];
+  for (const piece of pieces) {
+    const keeperSpot = { x: ownGoalPos.x, y: ownGoalPos.y + intoField * piece.size };
+    for (const spot of [laneSpot, keeperSpot]) {
+      const travel = distance(piece.pos, spot);
+      if (travel === 0) continue;
+      // A piece launched at speed v rolls v / (1 - friction) before it stops
+      const speed = travel * (1 - getMaterial(piece).friction);
+      moves.push({
+        pieceId: piece.id,
+        angle: Math.atan2(spot.y - piece.pos.y, spot.x - piece.pos.x),
+        power: Math.min(MAX_PULL_DISTANCE, speed / POWER_FACTOR),
+        spin: 0
+      });
+    }
+  }
+
+  // Clearances up the pitch, out to either side wall
+  const clearances = strikesTowards([0, field.width].map(x => ({
+    x,
+    y: ball.pos.y + intoField * field.height / 4
+  })));
+
+  const defensive = [...moves, ...clearances];
+
+  const fan = [];
+  for (const piece of pieces) {
+    const toBall = Math.atan2(ball.pos.y - piece.pos.y, ball.pos.x - piece.pos.x);
+    for (const offset of FAN_ANGLES) {
+      for (const share of FAN_POWERS) {
+        fan.push({ pieceId: piece.id, angle: toBall + offset, power: share * MAX_PULL_DISTANCE, spin: 0 });
+      }
+    }
+  }
+
+  return getThreat(state, otherTeam(team)) > DEFENCE_FIRST_THREAT
+    ? [...defensive, ...aimed, ...fan]
+    : [...aimed, ...defensive, ...fan];
+};
+
+/**
+ * Variations of a shot tried by deeper searches
+ * @param {Object} shot - Shot { pieceId, angle, power, spin }
+ * @param {Number} depth - Search depth
+ * @returns {Array} Shots
+ */
+const getRefinements = (shot, depth) => {
+  const shots = [
+    ...REFINE_ANGLES.map(offset => ({ ...shot, angle: shot.angle + offset })),
+    ...REFINE_POWERS.map(factor => ({
+      ...shot,
+      power: Math.min(MAX_PULL_DISTANCE, shot.power * factor)
+    }))
+  ];
+  if (depth >= 3) {
+    shots.push(...REFINE_SPINS.map(spin => ({ ...shot, spin })));
+  }
+  return shots;
+};
+
+/**
+ * Search for the best shot for a team, one rollout at a time
+ *
+ * A generator, so the search can be spread out, reported on and abandoned:
+ * every step plays one shot out and yields the progress so far. At least one
+ * candidate is always played out, however small the budget, and the search
+ * stops early once it finds a goal.
+ *
+ * @param {Object} state - Game state at rest, with the team to play
+ * @param {Number} team - Team to shoot
+ * @param {Object} options - { depth, timeBudgetMs, attack, defence } - depth
+ *   1 only tries the candidates, 2 also refines the best shots and 3 also
+ *   tries them with spin; attack and defence weigh the evaluation
+ * @yields {Object} { progress, evaluated } - progress is the share of the
+ *   time budget used, evaluated the number of rollouts
+ * @returns {Object|null} { pieceId, angle, power, spin, score, evaluated },
+ *   or null if the team has no shot
+ */
+export function* runShotSearch(
+  state,
+  team,
+  { depth = 1, timeBudgetMs = 500, attack = 1, defence = 1 } = {}
+) {
+  const startedAt = performance.now();
+  const elapsed = () => performance.now() - startedAt;
+  const results = [];
+  let best = null;
+
+  // Play shots out in order until the time runs out; true once a shot scores
+  function* tryShots(shots) {
+    for (const shot of shots) {
+      if (results.length > 0 && elapsed() >= timeBudgetMs) return false;
+
+      const score = evaluateOutcome(state, rollout(state, shot), team, { attack, defence });
+      const result = { ...shot, score };
+      results.push(result);
+      if (!best || score > best.score) best = result;
+      if (score >= AI_EVAL_WEIGHTS.goal) return true;
+
+      yield { progress: Math.min(1, elapsed() / timeBudgetMs), evaluated: results.length };
+    }
+    return false;
+  }
+
+  const scored = yield* tryShots(getCandidates(state, team));
+
+  if (!scored && depth >= 2) {
+    const leaders = [...results].sort((a, b) => b.score - a.score).slice(0, REFINE_COUNT);
+    for (const leader of leaders) {
+      if (yield* tryShots(getRefinements(leader, depth))) break;
+    }
+  }
+
+  return best && { ...best, evaluated: results.length };
+}
+
+/**
+ * Find the best shot for a team in one go
+ * @param {Object} state - Game state at rest, with the team to play
+ * @param {Number} team - Team to shoot
+ * @param {Object} options - As for runShotSearch
+ * @returns {Object|null} As for runShotSearch
+ */
+export const searchShot = (state, team, options) => {
+  const search = runShotSearch(state, team, options);
+  let step = search.next();
+  while (!step.done) step = search.next();
+  return step.value;
+};
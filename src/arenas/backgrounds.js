@@ -0,0 +1,7 @@
+import fieldImage from '../assets/images/field.png';
+
+// Background images arenas can refer to by key. Kept apart from the loader
+// so the server never has to import image files.
+export const ARENA_BACKGROUNDS = {
+  grass: fieldImage
+};
@@ -0,0 +1,32 @@
+import { DEFAULT_ARENA } from '../constants.js';
+import { loadArena } from './loadArena.js';
+import classic from './classic.json' with { type: 'json' };
+import pinball from './pinball.json' with { type: 'json' };
+
+// Built-in arenas. To add a stadium, drop a JSON file in this folder and
+// list it here.
+
+export const ARENAS = [classic, pinball];
+
+const loadedArenas = new Map();
+
+/**
+ * Field description of a built-in arena
+ *
+ * Loaded arenas are cached, so every kickoff of a match shares the same field
+ * object (and with it the collision geometry built for it).
+ *
+ * @param {String} id - Arena id
+ * @returns {Object} Field description
+ */
+export const getArena = (id = DEFAULT_ARENA) => {
+  if (!loadedArenas.has(id)) {
+    const definition = ARENAS.find(arena => arena.id === id);
+    if (!definition) {
+      console.warn(`Unknown arena "${id}", using ${DEFAULT_ARENA}`);
+      return getArena(DEFAULT_ARENA);
+    }
+    loadedArenas.set(id, loadArena(definition));
+  }
+  return loadedArenas.get(id);
+};
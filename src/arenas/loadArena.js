@@ -0,0 +1,149 @@
+import {
+  GOAL_HEIGHT,
+  GOAL_DEPTH,
+  GOAL_POST_RADIUS,
+  GOAL_AREA_WIDTH,
+  GOAL_AREA_DEPTH
+} from '../constants.js';
+
+// Arena definitions are plain JSON (see classic.json). The loader checks a
+// definition and turns it into the field description that the physics,
+// renderer and AI work with.
+//
+// Arena JSON:
+//   id, name          - identifier and display name
+//   width, height     - playing area in world units; the boundary walls along
+//                       all four edges are generated, with gaps for the goals
+//   background        - key into the background registry (backgrounds.js)
+//   markings          - draw the centre circle and line
+//   goals[]           - { side: 'top'|'bottom', x, width, depth, postRadius, scoringTeam,
+//                         areaWidth, areaDepth } - the goal area is the box
+//                       in front of the goal that its defenders may not enter
+//   walls[]           - extra wall segments { from: {x, y}, to: {x, y} }
+//   obstacles[]       - { type: 'circle', x, y, radius }
+//                       { type: 'rect', x, y, width, height, angle }
+//   kickoff           - { ball: {x, y}, team1: [{x, y}], team2: [{x, y}] }
+
+const GOAL_SIDES = ['top', 'bottom'];
+
+/**
+ * Check that a value is a point inside the arena
+ * @param {Object} point - Candidate {x, y}
+ * @param {Number} width - Arena width
+ * @param {Number} height - Arena height
+ * @returns {Boolean} True for a valid point
+ */
+const isPointInside = (point, width, height) => (
+  !!point &&
+  Number.isFinite(point.x) && Number.isFinite(point.y) &&
+  point.x >= 0 && point.x <= width &&
+  point.y >= 0 && point.y <= height
+);
+
+/**
+ * Load an arena definition
+ *
+ * @param {Object} definition - Arena JSON
+ * @returns {Object} Field description
+ * @throws {Error} If the definition is malformed
+ */
+export const loadArena = (definition) => {
+  const id = definition?.id;
+  const fail = (message) => {
+    throw new Error(`Invalid arena "${id}": ${message}`);
+  };
+
+  if (!id) fail('missing id');
+
+  const { width, height } = definition;
+  if (!(width > 0) || !(height > 0)) fail('width and height must be positive');
+
+  const goals = (definition.goals || []).map((goal, index) => {
+    if (!GOAL_SIDES.includes(goal.side)) fail(`goal ${index} has an unknown side "${goal.side}"`);
+    if (goal.scoringTeam !== 1 && goal.scoringTeam !== 2) fail(`goal ${index} needs a scoringTeam of 1 or 2`);
+
+    const goalWidth = goal.width ?? GOAL_HEIGHT;
+    if (!(goal.x - goalWidth / 2 >= 0 && goal.x + goalWidth / 2 <= width)) {
+      fail(`goal ${index} does not fit on the ${goal.side} edge`);
+    }
+
+    const areaWidth = Math.min(goal.areaWidth ?? Math.max(GOAL_AREA_WIDTH, goalWidth), width);
+    const areaDepth = goal.areaDepth ?? GOAL_AREA_DEPTH;
+    if (!(areaWidth >= goalWidth) || !(areaDepth > 0 && areaDepth < height / 2)) {
+      fail(`goal ${index} has an invalid goal area`);
+    }
+
+    return {
+      side: goal.side,
+      x: goal.x,
+      width: goalWidth,
+      depth: goal.depth ?? GOAL_DEPTH,
+      postRadius: goal.postRadius ?? GOAL_POST_RADIUS,
+      scoringTeam: goal.scoringTeam,
+      areaWidth,
+      areaDepth
+    };
+  });
+
+  for (const team of [1, 2]) {
+    if (!goals.some(goal => goal.scoringTeam === team)) fail(`team ${team} has no goal to score in`);
+  }
+
+  const walls = (definition.walls || []).map((wall, index) => {
+    if (!isPointInside(wall.from, width, height) || !isPointInside(wall.to, width, height)) {
+      fail(`wall ${index} must lie inside the arena`);
+    }
+    return {
+      a: { x: wall.from.x, y: wall.from.y },
+      b: { x: wall.to.x, y: wall.to.y }
+    };
+  });
+
+  const obstacles = (definition.obstacles || []).map((obstacle, index) => {
+    const pos = { x: obstacle.x, y: obstacle.y };
+    if (!isPointInside(pos, width, height)) fail(`obstacle ${index} must lie inside the arena`);
+
+    if (obstacle.type === 'circle') {
+      if (!(obstacle.radius > 0)) fail(`obstacle ${index} needs a positive radius`);
+      return { type: 'circle', pos, radius: obstacle.radius };
+    }
+
+    if (obstacle.type === 'rect') {
+      if (!(obstacle.width > 0) || !(obstacle.height > 0)) fail(`obstacle ${index} needs a positive size`);
+      return {
+        type: 'rect',
+        pos,
+        width: obstacle.width,
+        height: obstacle.height,
+        angle: obstacle.angle ?? 0
+      };
+    }
+
+    return fail(`obstacle ${index} has an unknown type "${obstacle.type}"`);
+  });
+
+  const { kickoff } = definition;
+  if (!kickoff || !isPointInside(kickoff.ball, width, height)) fail('kickoff needs a ball position');
+  for (const team of ['team1', 'team2']) {
+    const positions = kickoff[team];
+    if (!Array.isArray(positions) || positions.length === 0) fail(`kickoff needs positions for ${team}`);
+    if (!positions.every(pos => isPointInside(pos, width, height))) fail(`kickoff positions for ${team} must lie inside the arena`);
+  }
+
+  return {
+    id,
+    name: definition.name || id,
+    width,
+    height,
+    background: definition.background || 'grass',
+    markings: definition.markings ?? true,
+    goals,
+    walls,
+    obstacles,
+    kickoff: {
+      ball: { ...kickoff.ball },
+      team1: kickoff.team1.map(pos => ({ x: pos.x, y: pos.y })),
+      team2: kickoff.team2.map(pos => ({ x: pos.x, y: pos.y }))
+    }
+  };
+};
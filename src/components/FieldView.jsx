@@ -0,0 +1,137 @@
+import React from 'react';
+
+import { ARENA_BACKGROUNDS } from '../arenas/backgrounds';
+
+/**
+ * Static part of the board: pitch, markings, arena walls, obstacles and goals.
+ * Drawn in world units inside a board that is scaled as a whole.
+ */
+function FieldView({ field, pitchOffset }) {
+  return (
+    <>
+      {/* Pitch - the goal boxes stick out above and below it */}
+      <div
+        className="absolute left-0 w-full rounded-lg overflow-hidden"
+        style={{
+          top: `${pitchOffset}px`,
+          height: `${field.height}px`,
+          boxShadow: '0 0 0 4px #9ca3af',
+          backgroundImage: `url(${ARENA_BACKGROUNDS[field.background] || ARENA_BACKGROUNDS.grass})`,
+          backgroundSize: 'cover',
+          backgroundPosition: 'center'
+        }}
+      >
+        {/* Field markings - Rotated 90 degrees */}
+        {field.markings && (
+          <>
+            {/* Center circle */}
+            <div
+              className="absolute top-1/2 left-1/2 w-24 h-24 border-2 border-white rounded-full opacity-50"
+              style={{ transform: 'translate(-50%, -50%)' }}
+            ></div>
+            {/* Center line - now horizontal */}
+            <div
+              className="absolute left-0 top-1/2 w-full h-0.5 bg-white opacity-50"
+              style={{ transform: 'translateY(-50%)' }}
+            ></div>
+            {/* Goal areas */}
+            {field.goals.map((goal) => (
+              <div
+                key={`area-${goal.side}`}
+                className="absolute border-2 border-white opacity-50"
+                style={{
+                  left: `${goal.x - goal.areaWidth / 2}px`,
+                  top: `${goal.side === 'top' ? 0 : field.height - goal.areaDepth}px`,
+                  width: `${goal.areaWidth}px`,
+                  height: `${goal.areaDepth}px`
+                }}
+              ></div>
+            ))}
+          </>
+        )}
+      </div>
+
+      {/* Arena walls */}
+      {field.walls.map((wall, index) => {
+        const dx = wall.b.x - wall.a.x;
+        const dy = wall.b.y - wall.a.y;
+
+        return (
+          <div
+            key={`wall-${index}`}
+            className="absolute bg-gray-300 rounded-full"
+            style={{
+              left: `${wall.a.x}px`,
+              top: `${wall.a.y + pitchOffset}px`,
+              width: `${Math.sqrt(dx * dx + dy * dy)}px`,
+              height: '4px',
+              transform: `translateY(-50%) rotate(${Math.atan2(dy, dx)}rad)`,
+              transformOrigin: '0 50%',
+              zIndex: 4
+            }}
+          ></div>
+        );
+      })}
+
+      {/* Obstacles */}
+      {field.obstacles.map((obstacle, index) => (
+        <div
+          key={`obstacle-${index}`}
+          className={`absolute bg-gray-300 border-2 border-gray-500 ${
+            obstacle.type === 'circle' ? 'rounded-full' : 'rounded-sm'
+          }`}
+          style={{
+            left: `${obstacle.pos.x}px`,
+            top: `${obstacle.pos.y + pitchOffset}px`,
+            width: `${obstacle.type === 'circle' ? obstacle.radius * 2 : obstacle.width}px`,
+            height: `${obstacle.type === 'circle' ? obstacle.radius * 2 : obstacle.height}px`,
+            transform: `translate(-50%, -50%) rotate(${obstacle.angle || 0}rad)`,
+            zIndex: 4
+          }}
+        ></div>
+      ))}
+
+      {/* Goal nets and posts */}
+      {field.goals.map((goal) => {
+        const isTop = goal.side === 'top';
+        const lineY = isTop ? 0 : field.height;
+        const left = goal.x - goal.width / 2;
+
+        return (
+          <React.Fragment key={goal.side}>
+            <div
+              className="absolute border-2 border-gray-200"
+              style={{
+                left: `${left}px`,
+                top: `${(isTop ? lineY - goal.depth : lineY) + pitchOffset}px`,
+                width: `${goal.width}px`,
+                height: `${goal.depth}px`,
+                borderTopWidth: isTop ? undefined : 0,
+                borderBottomWidth: isTop ? 0 : undefined,
+                backgroundColor: 'rgba(255, 255, 255, 0.1)',
+                backgroundImage:
+                  'repeating-linear-gradient(45deg, rgba(255,255,255,0.35) 0 1px, transparent 1px 8px), repeating-linear-gradient(-45deg, rgba(255,255,255,0.35) 0 1px, transparent 1px 8px)'
+              }}
+            ></div>
+            {[left, left + goal.width].map((postX) => (
+              <div
+                key={postX}
+                className="absolute bg-white rounded-full"
+                style={{
+                  left: `${postX}px`,
+                  top: `${lineY + pitchOffset}px`,
+                  width: `${goal.postRadius * 2}px`,
+                  height: `${goal.postRadius * 2}px`,
+                  transform: 'translate(-50%, -50%)',
+                  zIndex: 6
+                }}
+              ></div>
+            ))}
+          </React.Fragment>
+        );
+      })}
+    </>
+  );
+}
+
+export default FieldView;
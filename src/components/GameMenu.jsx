@@ -1,18 +1,105 @@
-import React from 'react';
+import React, { useState } from 'react';
 
 // Game modes and AI difficulty levels imported from constants
-import { GAME_MODES } from '../constants';
+import { GAME_MODES, PHYSICS_BACKENDS, AI_DIFFICULTY } from '../constants';
+import { ARENAS } from '../arenas';
+import ReplayActions from './ReplayActions';
+import MatchRulesPanel from './MatchRulesPanel';
+
+// Difficulty buttons, easiest first
+const DIFFICULTY_OPTIONS = [
+  { level: AI_DIFFICULTY.EASY, name: 'Easy', description: 'Often misses' },
+  { level: AI_DIFFICULTY.MEDIUM, name: 'Medium', description: 'Sometimes misses' },
+  { level: AI_DIFFICULTY.HARD, name: 'Hard', description: 'Rarely misses' }
+];
 
 /**
  * Game menu component for selecting game mode
  */
 function GameMenu({ 
-  startGame 
+  aiDifficulty,
+  setAiDifficulty,
+  humanTeam,
+  setHumanTeam,
+  exhibitionDifficulty,
+  setExhibitionDifficulty,
+  startGame,
+  matchRules,
+  setMatchRules,
+  physicsBackend,
+  setPhysicsBackend,
+  arenaId,
+  setArenaId,
+  savedMatches,
+  onResumeMatch,
+  onDeleteSave,
+  replay,
+  onWatchReplay,
+  onOpenReplay
 }) {
+  const [replayText, setReplayText] = useState('');
+  const [replayError, setReplayError] = useState(null);
+
+  // onOpenReplay returns an error message, or null once the replay is open
+  const openReplayText = (text) => {
+    const error = onOpenReplay(text);
+    setReplayError(error);
+    if (!error) setReplayText('');
+  };
+
+  const openReplayFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) openReplayText(await file.text());
+  };
+
   return (
     <div className="bg-gray-700 p-6 rounded-lg shadow-lg w-full max-w-[600px] text-white">
       <h1 className="text-2xl font-bold mb-6 text-center">Soccer Stars Game</h1>
-      
+
+      {savedMatches.length > 0 && (
+        <>
+          <h2 className="text-xl mb-4">Resume Match:</h2>
+
+          <div className="flex flex-col gap-2 mb-6">
+            {savedMatches.map(save => (
+              <div key={save.slot} className="bg-gray-600 rounded-lg py-2 px-4 flex items-center gap-3">
+                <div className="flex-1 min-w-0">
+                  <div className="font-bold">
+                    <span className="text-red-400">Red {save.state.score.team1}</span>
+                    {' - '}
+                    <span className="text-blue-400">{save.state.score.team2} Blue</span>
+                  </div>
+                  <div className="text-xs text-gray-300">
+                    {save.state.gameMode === GAME_MODES.VS_AI ? `vs AI (${save.aiDifficulty})` : 'vs Player'}
+                    {' · '}
+                    {ARENAS.find(arena => arena.id === save.state.field.id)?.name}
+                    {' · '}
+                    Turn {save.state.turnCount + 1}
+                  </div>
+                  <div className="text-xs text-gray-400">
+                    Saved {new Date(save.savedAt).toLocaleString()}
+                  </div>
+                </div>
+                <button
+                  className="bg-green-600 hover:bg-green-700 py-2 px-4 rounded-lg font-bold transition-colors"
+                  onClick={() => onResumeMatch(save.slot)}
+                >
+                  Resume
+                </button>
+                <button
+                  className="bg-gray-700 hover:bg-gray-800 py-2 px-3 rounded-lg transition-colors"
+                  title="Delete save"
+                  onClick={() => onDeleteSave(save.slot)}
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+
       <h2 className="text-xl mb-4">Select Game Mode:</h2>
       
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
@@ -40,6 +127,157 @@ function GameMenu({
         <span className="text-lg font-bold">Online Multiplayer</span>
         <span className="text-sm mt-1">Play against other players online</span>
       </button>
+
+      <button
+        className="w-full bg-teal-600 hover:bg-teal-700 text-white py-3 px-4 rounded-lg flex flex-col items-center mb-6"
+        onClick={() => startGame(GAME_MODES.SANDBOX)}
+      >
+        <span className="text-lg font-bold">Sandbox</span>
+        <span className="text-sm mt-1">Set up any position and practise shots</span>
+      </button>
+
+      <h2 className="text-xl mb-4">AI Difficulty:</h2>
+
+      <div className="grid grid-cols-3 gap-4 mb-6">
+        {DIFFICULTY_OPTIONS.map(({ level, name, description }) => (
+          <button
+            key={level}
+            className={`py-2 px-4 rounded-lg flex flex-col items-center ${
+              aiDifficulty === level ? 'bg-yellow-600' : 'bg-gray-600 hover:bg-gray-500'
+            }`}
+            onClick={() => setAiDifficulty(level)}
+          >
+            <span className="font-bold">{name}</span>
+            <span className="text-xs mt-1">{description}</span>
+          </button>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-center gap-2 mb-6">
+        <span>Play vs AI as:</span>
+        {[1, 2].map(team => (
+          <button
+            key={team}
+            className={`py-1 px-4 rounded-lg ${
+              humanTeam === team ? 'bg-yellow-600' : 'bg-gray-600 hover:bg-gray-500'
+            }`}
+            onClick={() => setHumanTeam(team)}
+          >
+            {team === 1 ? '🔴 Red' : '🔵 Blue'}
+          </button>
+        ))}
+      </div>
+
+      <h2 className="text-xl mb-4">AI vs AI:</h2>
+
+      <div className="grid grid-cols-2 gap-4 mb-4">
+        {[1, 2].map(team => (
+          <label key={team} className="flex items-center gap-2 text-sm">
+            <span>{team === 1 ? '🔴 Red AI' : '🔵 Blue AI'}</span>
+            <select
+              className="flex-1 min-w-0 bg-gray-800 rounded-md px-2 py-1"
+              value={exhibitionDifficulty[team]}
+              onChange={(e) => setExhibitionDifficulty({ ...exhibitionDifficulty, [team]: e.target.value })}
+            >
+              {DIFFICULTY_OPTIONS.map(({ level, name }) => (
+                <option key={level} value={level}>{name}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      <button
+        className="w-full bg-orange-600 hover:bg-orange-700 text-white py-3 px-4 rounded-lg flex flex-col items-center mb-6"
+        onClick={() => startGame(GAME_MODES.AI_VS_AI)}
+      >
+        <span className="text-lg font-bold">Watch AI vs AI</span>
+        <span className="text-sm mt-1">Two computer players go head to head</span>
+      </button>
+
+      <h2 className="text-xl mb-4">Match Rules:</h2>
+
+      <div className="mb-6">
+        <MatchRulesPanel rules={matchRules} setRules={setMatchRules} />
+      </div>
+
+      <h2 className="text-xl mb-4">Physics:</h2>
+
+      <div className="grid grid-cols-2 gap-4">
+        <button
+          className={`py-2 px-4 rounded-lg flex flex-col items-center ${
+            physicsBackend === PHYSICS_BACKENDS.CIRCLE ? 'bg-yellow-600' : 'bg-gray-600 hover:bg-gray-500'
+          }`}
+          onClick={() => setPhysicsBackend(PHYSICS_BACKENDS.CIRCLE)}
+        >
+          <span className="font-bold">Classic</span>
+          <span className="text-xs mt-1">Precise circle physics</span>
+        </button>
+
+        <button
+          className={`py-2 px-4 rounded-lg flex flex-col items-center ${
+            physicsBackend === PHYSICS_BACKENDS.MATTER ? 'bg-yellow-600' : 'bg-gray-600 hover:bg-gray-500'
+          }`}
+          onClick={() => setPhysicsBackend(PHYSICS_BACKENDS.MATTER)}
+        >
+          <span className="font-bold">matter-js</span>
+          <span className="text-xs mt-1">Local games only</span>
+        </button>
+      </div>
+
+      <h2 className="text-xl my-4">Arena:</h2>
+
+      <div className="grid grid-cols-2 gap-4">
+        {ARENAS.map(arena => (
+          <button
+            key={arena.id}
+            className={`py-2 px-4 rounded-lg flex flex-col items-center ${
+              arenaId === arena.id ? 'bg-yellow-600' : 'bg-gray-600 hover:bg-gray-500'
+            }`}
+            onClick={() => setArenaId(arena.id)}
+          >
+            <span className="font-bold">{arena.name}</span>
+            <span className="text-xs mt-1">{arena.width}x{arena.height}</span>
+          </button>
+        ))}
+      </div>
+      <p className="text-xs text-gray-300 mt-2">Online matches are played in the Classic arena.</p>
+
+      <h2 className="text-xl my-4">Replays:</h2>
+
+      {replay && (
+        <div className="mb-4">
+          <p className="text-sm text-gray-300 mb-2 text-center">Last match</p>
+          <ReplayActions replay={replay} onWatch={onWatchReplay} />
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          className="flex-1 min-w-0 bg-gray-800 rounded-lg px-3 py-2 text-sm"
+          placeholder="Paste a replay link or code"
+          value={replayText}
+          onChange={(e) => setReplayText(e.target.value)}
+        />
+        <button
+          className="bg-gray-600 hover:bg-gray-500 py-2 px-4 rounded-lg transition-colors disabled:opacity-50"
+          disabled={!replayText.trim()}
+          onClick={() => openReplayText(replayText)}
+        >
+          Open
+        </button>
+        <label className="bg-gray-600 hover:bg-gray-500 py-2 px-4 rounded-lg transition-colors cursor-pointer">
+          Import File
+          <input
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={openReplayFile}
+          />
+        </label>
+      </div>
+      {replayError && <p className="text-sm text-red-400 mt-2">{replayError}</p>}
       
     </div>
   );
@@ -0,0 +1,162 @@
+import React from 'react';
+
+import { KICKOFF_RULES, PENALTIES, TIE_BREAKS } from '../constants';
+
+// A match needs at least one of these to end
+const MATCH_LIMITS = ['targetGoals', 'matchTimeMs', 'maxTurns'];
+
+const GOAL_OPTIONS = [
+  { value: null, label: 'None' },
+  { value: 1, label: '1 goal' },
+  { value: 3, label: '3 goals' },
+  { value: 5, label: '5 goals' },
+  { value: 10, label: '10 goals' }
+];
+
+const CLOCK_OPTIONS = [
+  { value: null, label: 'None' },
+  { value: 2 * 60 * 1000, label: '2 minutes' },
+  { value: 5 * 60 * 1000, label: '5 minutes' },
+  { value: 10 * 60 * 1000, label: '10 minutes' }
+];
+
+const TURN_OPTIONS = [
+  { value: null, label: 'None' },
+  { value: 20, label: '20 shots' },
+  { value: 40, label: '40 shots' },
+  { value: 60, label: '60 shots' }
+];
+
+const TIE_BREAK_OPTIONS = [
+  { value: TIE_BREAKS.GOLDEN_GOAL, label: 'Golden goal' },
+  { value: TIE_BREAKS.DRAW, label: 'Draw' }
+];
+
+const KICKOFF_OPTIONS = [
+  { value: KICKOFF_RULES.CONCEDING, label: 'Conceding team' },
+  { value: KICKOFF_RULES.ALTERNATE, label: 'Alternate' }
+];
+
+const PENALTY_OPTIONS = [
+  { value: PENALTIES.NONE, label: 'None' },
+  { value: PENALTIES.FOUL, label: 'Foul' },
+  { value: PENALTIES.FREE_SHOT, label: 'Foul and free shot' }
+];
+
+const TAKEBACK_OPTIONS = [
+  { value: null, label: 'Unlimited' },
+  { value: 1, label: '1 per match' },
+  { value: 3, label: '3 per match' },
+  { value: 0, label: 'Off' }
+];
+
+/**
+ * Drop-down for one rule. Options are picked by index, as their values are
+ * not all strings.
+ */
+function RuleSelect({ label, options, value, onChange, isDisabled = () => false }) {
+  return (
+    <label className="flex items-center justify-between gap-2 text-sm">
+      <span>{label}</span>
+      <select
+        className="bg-gray-800 rounded-md px-2 py-1"
+        value={options.findIndex(option => option.value === value)}
+        onChange={(e) => onChange(options[Number(e.target.value)].value)}
+      >
+        {options.map((option, index) => (
+          <option key={option.label} value={index} disabled={isDisabled(option.value)}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+/**
+ * Check box for a rule that is on or off
+ */
+function RuleToggle({ label, value, onChange }) {
+  return (
+    <label className="flex items-center justify-between gap-2 text-sm">
+      <span>{label}</span>
+      <input type="checkbox" checked={value} onChange={(e) => onChange(e.target.checked)} />
+    </label>
+  );
+}
+
+/**
+ * Match rules for the next match - how it is won, what happens when it ends
+ * level, who shoots after a goal or a touch, what a foul costs and how many
+ * shots each team may take back. Used for local and online matches alike.
+ */
+function MatchRulesPanel({ rules, setRules }) {
+  const setRule = (key) => (value) => setRules({ ...rules, [key]: value });
+
+  // A limit can only be turned off while another one is on
+  const isOnlyLimit = (key) => (value) => (
+    value === null && MATCH_LIMITS.every(other => other === key || rules[other] === null)
+  );
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2">
+      <RuleSelect
+        label="Goal target"
+        options={GOAL_OPTIONS}
+        value={rules.targetGoals}
+        onChange={setRule('targetGoals')}
+        isDisabled={isOnlyLimit('targetGoals')}
+      />
+      <RuleSelect
+        label="Match clock"
+        options={CLOCK_OPTIONS}
+        value={rules.matchTimeMs}
+        onChange={setRule('matchTimeMs')}
+        isDisabled={isOnlyLimit('matchTimeMs')}
+      />
+      <RuleSelect
+        label="Turn limit"
+        options={TURN_OPTIONS}
+        value={rules.maxTurns}
+        onChange={setRule('maxTurns')}
+        isDisabled={isOnlyLimit('maxTurns')}
+      />
+      <RuleSelect
+        label="Level at the end"
+        options={TIE_BREAK_OPTIONS}
+        value={rules.tieBreak}
+        onChange={setRule('tieBreak')}
+      />
+      <RuleSelect
+        label="Kickoff after a goal"
+        options={KICKOFF_OPTIONS}
+        value={rules.kickoff}
+        onChange={setRule('kickoff')}
+      />
+      <RuleToggle
+        label="Scorer kicks off"
+        value={rules.extraTurnOnGoal}
+        onChange={setRule('extraTurnOnGoal')}
+      />
+      <RuleToggle
+        label="Extra shot for touching the ball"
+        value={rules.extraTurnOnTouch}
+        onChange={setRule('extraTurnOnTouch')}
+      />
+      <RuleSelect
+        label="Piece in own goal area"
+        options={PENALTY_OPTIONS}
+        value={rules.ownAreaPenalty}
+        onChange={setRule('ownAreaPenalty')}
+      />
+      <RuleSelect
+        label="Takebacks"
+        options={TAKEBACK_OPTIONS}
+        value={rules.takebacks}
+        onChange={setRule('takebacks')}
+      />
+    </div>
+  );
+}
+
+export default MatchRulesPanel;
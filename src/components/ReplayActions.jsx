@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+
+import { replayToJson, getReplayLink } from '../game/replayFile';
+
+/**
+ * Buttons to watch a replay, save it as a file or copy a link to it
+ */
+function ReplayActions({ replay, onWatch }) {
+  const [copyStatus, setCopyStatus] = useState(null); // null, 'copied' or 'failed'
+
+  const downloadReplay = () => {
+    const blob = new Blob([replayToJson(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `soccer-stars-replay-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+    link.click();
+    // Some browsers cancel the download if the URL goes straight away
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  const copyReplayLink = async () => {
+    const { origin, pathname } = window.location;
+    try {
+      // The clipboard API is missing outside secure contexts
+      if (!navigator.clipboard) throw new Error('Clipboard not available');
+      await navigator.clipboard.writeText(getReplayLink(replay, `${origin}${pathname}`));
+      setCopyStatus('copied');
+    } catch (error) {
+      console.warn('Could not copy the replay link:', error);
+      setCopyStatus('failed');
+    }
+    setTimeout(() => setCopyStatus(null), 2000);
+  };
+
+  return (
+    <div className="flex flex-wrap justify-center gap-2">
+      <button
+        className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg transition-colors"
+        onClick={onWatch}
+      >
+        Watch Replay
+      </button>
+      <button
+        className="bg-gray-600 hover:bg-gray-500 text-white py-2 px-4 rounded-lg transition-colors"
+        onClick={downloadReplay}
+      >
+        Download
+      </button>
+      <button
+        className="bg-gray-600 hover:bg-gray-500 text-white py-2 px-4 rounded-lg transition-colors"
+        onClick={copyReplayLink}
+      >
+        {copyStatus === 'copied' ? 'Copied!' : copyStatus === 'failed' ? 'Copy failed' : 'Copy Link'}
+      </button>
+    </div>
+  );
+}
+
+export default ReplayActions;
@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+
+import FieldView from './FieldView';
+import { FIXED_TIMESTEP_MS, PHYSICS_BACKENDS } from '../constants';
+import { simulateReplay, verifyReplay } from '../game/replay';
+import { createPhysicsBackend } from '../physics/backend';
+import { getPitchOffset } from '../view/viewTransform';
+import playerImage from '../assets/images/player.png';
+import opponentImage from '../assets/images/opponent.png';
+import ballImage from '../assets/images/ball.png';
+
+const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4];
+const VIEWER_WIDTH = 360; // Board width on screen
+
+/**
+ * Replay viewer - rebuilds a finished match from its replay log and plays it
+ * back with play/pause, shot stepping, scrubbing and speed controls
+ */
+function ReplayViewer({ replay, onClose }) {
+  // Simulate the whole match once; every frame is then a lookup
+  const timeline = useMemo(() => {
+    const backend = replay.physicsBackend === PHYSICS_BACKENDS.CIRCLE
+      ? null
+      : createPhysicsBackend(replay.physicsBackend);
+    try {
+      return simulateReplay(replay, { backend });
+    } finally {
+      if (backend) backend.destroy();
+    }
+  }, [replay]);
+
+  const lastFrame = timeline.frames.length - 1;
+  const [frame, setFrame] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(true);
+  const [speed, setSpeed] = useState(1);
+  const frameRef = useRef(0);
+  frameRef.current = frame;
+
+  // Advance through the frames in real time while playing
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    let animationId = null;
+    let lastTime = null;
+
+    const animate = (now) => {
+      if (lastTime !== null) {
+        const next = Math.min(lastFrame, frameRef.current + (now - lastTime) / FIXED_TIMESTEP_MS * speed);
+        setFrame(next);
+        if (next >= lastFrame) {
+          setIsPlaying(false);
+          return;
+        }
+      }
+      lastTime = now;
+      animationId = requestAnimationFrame(animate);
+    };
+
+    animationId = requestAnimationFrame(animate);
+    return () => cancelAnimationFrame(animationId);
+  }, [isPlaying, speed, lastFrame]);
+
+  const { frames, shots, finalState } = timeline;
+  const { field } = finalState;
+  const current = frames[Math.floor(frame)];
+  const verified = verifyReplay(replay, finalState);
+  const pitchOffset = getPitchOffset(field);
+  const scale = Math.min(1, VIEWER_WIDTH / field.width);
+
+  // Index of the shot being shown
+  let shotIndex = -1;
+  while (shotIndex + 1 < shots.length && shots[shotIndex + 1].frame <= frame) {
+    shotIndex++;
+  }
+
+  const goToShot = (index) => {
+    const target = Math.max(0, Math.min(shots.length - 1, index));
+    setFrame(shots.length > 0 ? shots[target].frame : 0);
+  };
+
+  const togglePlaying = () => {
+    // Playing from the end starts over
+    if (!isPlaying && frame >= lastFrame) setFrame(0);
+    setIsPlaying(!isPlaying);
+  };
+
+  return (
+    <div className="bg-gray-700 rounded-lg p-6 shadow-lg text-white max-w-[420px] w-full flex flex-col items-center">
+      <h2 className="text-2xl font-bold mb-2">Match Replay</h2>
+      {verified !== null && (
+        <p className={`text-xs mb-2 ${verified ? 'text-green-400' : 'text-yellow-400'}`}>
+          {verified ? '✓ Matches the recorded result' : '⚠ Does not match the recorded result'}
+        </p>
+      )}
+
+      <div className="mb-3 w-full flex justify-between text-lg font-bold">
+        <span className="text-red-500">Red: {current.score.team1}</span>
+        <span className="text-gray-300 text-sm self-center">
+          {shotIndex >= 0 ? `Shot ${shotIndex + 1} / ${shots.length}` : 'Kickoff'}
+        </span>
+        <span className="text-blue-500">Blue: {current.score.team2}</span>
+      </div>
+
+      {/* Board */}
+      <div
+        style={{
+          width: `${field.width * scale}px`,
+          height: `${(field.height + pitchOffset * 2) * scale}px`
+        }}
+      >
+        <div
+          className="relative"
+          style={{
+            width: `${field.width}px`,
+            height: `${field.height + pitchOffset * 2}px`,
+            transform: `scale(${scale})`,
+            transformOrigin: 'top left'
+          }}
+        >
+          <FieldView field={field} pitchOffset={pitchOffset} />
+
+          {current.balls.map((ball) => (
+            <div
+              key={ball.id}
+              className="absolute"
+              style={{
+                width: `${ball.size}px`,
+                height: `${ball.size}px`,
+                left: `${ball.pos.x}px`,
+                top: `${ball.pos.y + pitchOffset}px`,
+                transform: 'translate(-50%, -50%)',
+                zIndex: ball.id === 'ball' ? 5 : 10,
+                backgroundImage: `url(${
+                  ball.id === 'ball' ? ballImage : ball.team === 1 ? playerImage : opponentImage
+                })`,
+                backgroundSize: 'contain',
+                backgroundPosition: 'center',
+                backgroundRepeat: 'no-repeat'
+              }}
+            ></div>
+          ))}
+        </div>
+      </div>
+
+      {/* Scrubber */}
+      <input
+        type="range"
+        className="w-full mt-4"
+        min={0}
+        max={lastFrame}
+        step={1}
+        value={Math.floor(frame)}
+        onChange={(e) => setFrame(Number(e.target.value))}
+      />
+
+      {/* Transport */}
+      <div className="mt-3 flex gap-2">
+        <button
+          className="bg-gray-600 hover:bg-gray-500 px-3 py-1 rounded-lg transition-colors"
+          onClick={() => goToShot(frame > (shots[shotIndex]?.frame ?? 0) ? shotIndex : shotIndex - 1)}
+        >
+          ⏮ Shot
+        </button>
+        <button
+          className="bg-green-600 hover:bg-green-700 px-4 py-1 rounded-lg font-bold transition-colors"
+          onClick={togglePlaying}
+        >
+          {isPlaying ? 'Pause' : 'Play'}
+        </button>
+        <button
+          className="bg-gray-600 hover:bg-gray-500 px-3 py-1 rounded-lg transition-colors"
+          onClick={() => (shotIndex + 1 < shots.length ? goToShot(shotIndex + 1) : setFrame(lastFrame))}
+        >
+          Shot ⏭
+        </button>
+      </div>
+
+      {/* Speed */}
+      <div className="mt-3 flex gap-1 text-sm">
+        {PLAYBACK_SPEEDS.map((value) => (
+          <button
+            key={value}
+            className={`px-2 py-1 rounded-lg transition-colors ${
+              speed === value ? 'bg-blue-600' : 'bg-gray-600 hover:bg-gray-500'
+            }`}
+            onClick={() => setSpeed(value)}
+          >
+            {value}×
+          </button>
+        ))}
+      </div>
+
+      <button
+        className="mt-5 bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-6 rounded-lg transition-colors"
+        onClick={onClose}
+      >
+        Back
+      </button>
+    </div>
+  );
+}
+
+export default ReplayViewer;
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+
+const BUTTON = 'bg-gray-600 hover:bg-gray-500 px-3 py-1 rounded-md transition-colors disabled:opacity-50 disabled:hover:bg-gray-600';
+const TOGGLE_ON = 'bg-yellow-600 px-3 py-1 rounded-md';
+
+/**
+ * Sandbox controls - switch between editing the position and playing it,
+ * add and remove pieces, pick the team to play and save or load positions
+ */
+function SandboxPanel({
+  editing,
+  onToggleEditing,
+  isMoving,
+  currentTeam,
+  onSetTeam,
+  hasBall,
+  selectedPieceId,
+  onAddPiece,
+  onRemovePiece,
+  positions,
+  onSavePosition,
+  onLoadPosition,
+  onDeletePosition
+}) {
+  const [positionName, setPositionName] = useState('');
+
+  const savePosition = () => {
+    onSavePosition(positionName.trim());
+    setPositionName('');
+  };
+
+  return (
+    <div className="w-full max-w-[400px] bg-gray-700 rounded-lg p-4 text-white text-sm flex flex-col gap-3">
+      <div className="flex items-center justify-between">
+        <span className="font-bold">{editing ? 'Editing position' : 'Playing'}</span>
+        <button
+          className="bg-green-600 hover:bg-green-700 px-4 py-1 rounded-md font-bold transition-colors disabled:opacity-50"
+          disabled={isMoving}
+          onClick={onToggleEditing}
+        >
+          {editing ? 'Play' : 'Edit'}
+        </button>
+      </div>
+
+      {editing && (
+        <>
+          <p className="text-xs text-gray-300">
+            Drag any piece to move it. Click a piece, then Remove to take it off.
+          </p>
+
+          <div className="flex flex-wrap gap-2">
+            <button className={BUTTON} onClick={() => onAddPiece(1)}>
+              + Red
+            </button>
+            <button className={BUTTON} onClick={() => onAddPiece(2)}>
+              + Blue
+            </button>
+            <button className={BUTTON} disabled={hasBall} onClick={() => onAddPiece(null)}>
+              + Ball
+            </button>
+            <button className={BUTTON} disabled={!selectedPieceId} onClick={onRemovePiece}>
+              Remove
+            </button>
+          </div>
+
+          <div className="flex items-center gap-2">
+            <span>To play:</span>
+            <button className={currentTeam === 1 ? TOGGLE_ON : BUTTON} onClick={() => onSetTeam(1)}>
+              🔴 Red
+            </button>
+            <button className={currentTeam === 2 ? TOGGLE_ON : BUTTON} onClick={() => onSetTeam(2)}>
+              🔵 Blue
+            </button>
+          </div>
+        </>
+      )}
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          className="flex-1 min-w-0 bg-gray-800 rounded-md px-3 py-1"
+          placeholder="Position name"
+          value={positionName}
+          onChange={(e) => setPositionName(e.target.value)}
+        />
+        <button
+          className={BUTTON}
+          disabled={isMoving || !positionName.trim()}
+          onClick={savePosition}
+        >
+          Save
+        </button>
+      </div>
+
+      {positions.length > 0 && (
+        <div className="flex flex-col gap-1">
+          {positions.map(({ name, savedAt }) => (
+            <div key={name} className="flex items-center gap-2">
+              <span className="flex-1 min-w-0 truncate" title={new Date(savedAt).toLocaleString()}>
+                {name}
+              </span>
+              <button className={BUTTON} disabled={isMoving} onClick={() => onLoadPosition(name)}>
+                Load
+              </button>
+              <button
+                className={BUTTON}
+                title="Delete position"
+                onClick={() => onDeletePosition(name)}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SandboxPanel;
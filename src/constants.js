@@ -7,15 +7,39 @@ export const DAMPING_FACTOR = 0.985;
 export const WALL_BOUNCE_FACTOR = 0.85;
 export const BALL_COLLISION_BOUNCE_FACTOR = 0.98;
 export const MIN_VELOCITY_THRESHOLD = 0.05;
+
+// Piece materials - DAMPING_FACTOR and BALL_COLLISION_BOUNCE_FACTOR above are
+// the fallbacks for pieces without their own friction / restitution
+export const PLAYER_MASS = 2;
+export const PLAYER_FRICTION = 0.982; // Velocity kept per step
+export const PLAYER_RESTITUTION = 0.9;
+export const BALL_MASS = 1;
+export const BALL_FRICTION = 0.985;
+export const BALL_RESTITUTION = 0.98;
+
+// Spin (angular velocity in radians per step)
+export const MAX_SPIN = 0.3;
+export const SPIN_DAMPING = 0.97; // Spin kept per step
+export const SPIN_CURVE_FACTOR = 0.04; // Turn of the path per step, per unit of spin
+export const SPIN_CONTACT_FRICTION = 0.25; // Grip between surfaces on contact
+export const MIN_SPIN_THRESHOLD = 0.005;
+export const SPIN_GESTURE_DISTANCE = 100; // Sideways pixels of the second finger for full spin
 export const ARROW_COLOR = 'rgba(255, 255, 255, 0.7)';
 export const ARROW_MAX_WIDTH = 8;
 export const GOAL_HEIGHT = 100;
+export const GOAL_DEPTH = 40; // Depth of the goal box behind the goal line
+export const GOAL_POST_RADIUS = 5;
+export const GOAL_AREA_WIDTH = 160; // Goal area in front of each goal
+export const GOAL_AREA_DEPTH = 60;
+export const NET_BOUNCE_FACTOR = 0.2; // The net soaks up most of the ball's speed
 
 // Game modes
 export const GAME_MODES = {
   VS_PLAYER: 'vs_player',
   VS_AI: 'vs_ai',
-  ONLINE: 'online'
+  ONLINE: 'online',
+  SANDBOX: 'sandbox', // Free practice with a position editor
+  AI_VS_AI: 'ai_vs_ai' // Two AIs play each other while you watch
 };
 
 // AI difficulty levels
@@ -28,3 +52,105 @@ export const AI_DIFFICULTY = {
 // Default AI settings
 export const DEFAULT_AI_DIFFICULTY = AI_DIFFICULTY.MEDIUM;
 export const AI_POWER_SCALING_FACTOR = 0.5; // Multiplier for AI shot power (1.0 = normal)
+
+// How well the AI plays at each difficulty (see src/ai/GameAI.js)
+// - aimNoise: standard deviation of the error added to the shot angle, in radians
+// - powerNoise: standard deviation of the error added to the shot power, as a share of it
+// - depth: how hard the shot search looks - 1 tries the candidate shots,
+//   2 also refines the best ones, 3 also tries them with spin
+// - searchTimeMs: time budget of the shot search
+// - attack, defence: how much going forward and protecting the goal count
+//   in the search's evaluation
+// - reactionDelayMs: time the AI waits before shooting
+export const AI_PROFILES = {
+  [AI_DIFFICULTY.EASY]: {
+    aimNoise: 0.12, powerNoise: 0.2, depth: 1, searchTimeMs: 150, attack: 1, defence: 0.3, reactionDelayMs: 1400
+  },
+  [AI_DIFFICULTY.MEDIUM]: {
+    aimNoise: 0.05, powerNoise: 0.1, depth: 2, searchTimeMs: 400, attack: 1, defence: 0.7, reactionDelayMs: 900
+  },
+  [AI_DIFFICULTY.HARD]: {
+    aimNoise: 0.015, powerNoise: 0.04, depth: 3, searchTimeMs: 800, attack: 1, defence: 1, reactionDelayMs: 500
+  }
+};
+
+// Weights of the AI's evaluation of where a shot leaves the game (see src/ai/shotSearch.js)
+export const AI_EVAL_WEIGHTS = {
+  goal: 1000, // Scoring, or conceding an own goal
+  progress: 100, // Ball moved towards the opponent's goal, per pitch length
+  danger: 150, // Chance left to the opponent to shoot at goal, from 0 to 1
+  block: 80, // A piece in the opponent's shooting lane, taken off the danger
+  goalkeeper: 40, // A piece right in front of the goal, taken off the danger
+  clear: 60, // Ball moved out to a side wall when the opponent had a chance
+  foul: 50 // Committing a foul
+};
+
+// Simulation timing - physics always advances in fixed 60 Hz steps
+export const FIXED_TIMESTEP_MS = 1000 / 60;
+export const MAX_STEPS_PER_FRAME = 5; // Drop time rather than spiral after long frames
+export const KEYFRAME_INTERVAL = 2; // Steps between recorded keyframes of a resolved shot
+
+// Instant goal replay - the shot that scored is shown again before the kickoff
+export const GOAL_REPLAY_SPEED = 0.35; // Share of real time
+export const GOAL_REPLAY_LEAD_TICKS = 120; // Steps shown before the goal, at most
+export const GOAL_REPLAY_TAIL_TICKS = 30; // Steps shown after the goal, at most
+export const GOAL_REPLAY_ZOOM = 2; // Follow-cam zoom on the ball
+
+// Physics backends - online matches always use the deterministic circle solver
+export const PHYSICS_BACKENDS = {
+  CIRCLE: 'circle',
+  MATTER: 'matter'
+};
+export const DEFAULT_PHYSICS_BACKEND = PHYSICS_BACKENDS.CIRCLE;
+
+// Board view - the world is scaled to fit the screen
+export const MAX_VIEW_SCALE = 1.5; // Don't blow the board up beyond this on large screens
+export const VIEW_RESERVED_HEIGHT = 180; // Screen height kept free for the score bar and controls
+
+// Saved local matches - autosaved to localStorage after every turn
+export const SAVE_SLOT_COUNT = 3;
+
+// Arena used when none is chosen, and for online matches
+export const DEFAULT_ARENA = 'classic';
+
+// Default match rules (see src/game/rules.js)
+export const TIE_BREAKS = {
+  GOLDEN_GOAL: 'goldenGoal', // Play on until the next goal
+  DRAW: 'draw' // A level match ends drawn
+};
+export const KICKOFF_RULES = {
+  CONCEDING: 'conceding', // The team that conceded kicks off
+  ALTERNATE: 'alternate' // Kickoffs alternate between the teams
+};
+export const PENALTIES = {
+  NONE: 'none', // No penalty
+  FOUL: 'foul', // The foul is recorded and the turn passes to the opponent
+  FREE_SHOT: 'freeShot' // As a foul, and the opponent also gets a free shot
+};
+export const AIM_ASSIST = {
+  NONE: 'none', // Only the launch arrow
+  FIRST_CONTACT: 'firstContact', // Path to the first contact and the direction the hit piece takes
+  FULL_PATH: 'fullPath' // Paths of the struck piece and the ball until they stop
+};
+export const AIM_ASSIST_BY_DIFFICULTY = {
+  [AI_DIFFICULTY.EASY]: AIM_ASSIST.FULL_PATH,
+  [AI_DIFFICULTY.MEDIUM]: AIM_ASSIST.FIRST_CONTACT,
+  [AI_DIFFICULTY.HARD]: AIM_ASSIST.NONE
+};
+export const DEFAULT_AIM_ASSIST = AIM_ASSIST.FIRST_CONTACT; // Games without an AI
+export const AIM_PREVIEW_MAX_STEPS = 300; // How far ahead the aim line simulates
+export const AIM_PREVIEW_SAMPLE_INTERVAL = 2; // Steps between points of a drawn path
+export const AIM_DEFLECTION_LENGTH = 60; // Length of the line showing where a hit piece goes
+export const DEFAULT_MATCH_RULES = {
+  targetGoals: 3, // First team to score this many wins; null for no goal limit
+  matchTimeMs: null, // Total match clock; null for no clock
+  maxTurns: null, // Shots in the whole match; null for no limit
+  tieBreak: TIE_BREAKS.GOLDEN_GOAL, // What happens when time or turns run out with the scores level
+  turnTimeLimit: 30, // Seconds per turn in online matches
+  kickoff: KICKOFF_RULES.CONCEDING, // Who restarts after a goal
+  extraTurnOnGoal: false, // The scoring team kicks off instead
+  extraTurnOnTouch: false, // A team that touches the ball with its own piece shoots again
+  ownAreaPenalty: PENALTIES.NONE, // Penalty for moving a piece into its own goal area
+  aimAssist: null, // Depth of the aim line (AIM_ASSIST); null to follow the AI difficulty
+  takebacks: null // Shots each team may take back in a match; 0 for none, null for no limit
+};
@@ -0,0 +1,243 @@
+import {
+  PLAYER_SIZE,
+  BALL_SIZE,
+  PLAYER_MASS,
+  PLAYER_FRICTION,
+  PLAYER_RESTITUTION,
+  BALL_MASS,
+  BALL_FRICTION,
+  BALL_RESTITUTION,
+  GAME_MODES,
+  PHYSICS_BACKENDS,
+  DEFAULT_PHYSICS_BACKEND,
+  DEFAULT_ARENA
+} from '../constants.js';
+import { getArena } from '../arenas/index.js';
+import { applyShot } from '../physics/engine.js';
+import {
+  createRules,
+  getKickoffTeam,
+  getNextTeam,
+  getFreeShotTeam,
+  getBallToucher,
+  creditGoal,
+  checkAreaFoul,
+  recordShotStats
+} from './rules.js';
+
+/**
+ * Create a player piece
+ * @param {Number} team - Team number (1 or 2)
+ * @param {Number} index - Player number within the team (1-based)
+ * @param {Object} pos - Starting position {x, y}
+ * @returns {Object} Player piece
+ */
+export const createPlayer = (team, index, pos) => ({
+  id: `team${team}-player${index}`,
+  pos,
+  vel: { x: 0, y: 0 },
+  size: PLAYER_SIZE,
+  mass: PLAYER_MASS,
+  friction: PLAYER_FRICTION,
+  restitution: PLAYER_RESTITUTION,
+  color: team === 1 ? 'bg-red-500' : 'bg-blue-500',
+  isPlayer: true,
+  team
+});
+
+/**
+ * Create the soccer ball
+ * @param {Object} pos - Starting position {x, y}
+ * @returns {Object} Ball piece
+ */
+export const createBall = (pos) => ({
+  id: 'ball',
+  pos,
+  vel: { x: 0, y: 0 },
+  size: BALL_SIZE,
+  mass: BALL_MASS,
+  friction: BALL_FRICTION,
+  restitution: BALL_RESTITUTION,
+  color: 'bg-white',
+  isPlayer: false,
+  team: null
+});
+
+/**
+ * Team and player setup
+ *
+ * @param {String} gameMode - Game mode
+ * @param {Object} options - Match options
+ * @param {String} options.physicsBackend - Physics backend id; online
+ *   matches always use the circle solver, which the server runs as well
+ * @param {String} options.arenaId - Arena to play in; online matches always
+ *   use the default arena
+ * @param {Object} options.rules - Changes to the default match rules
+ * @returns {Object} Initial game state
+ */
+export const initialGameState = (
+  gameMode = GAME_MODES.VS_PLAYER,
+  { physicsBackend = DEFAULT_PHYSICS_BACKEND, arenaId = DEFAULT_ARENA, rules } = {}
+) => {
+  const isOnline = gameMode === GAME_MODES.ONLINE;
+  const field = getArena(isOnline ? DEFAULT_ARENA : arenaId);
+  const { kickoff } = field;
+
+  // Soccer ball
+  const ball = createBall({ ...kickoff.ball });
+
+  // Team 1 (Red) - at the bottom of the field
+  const team1Players = kickoff.team1.map((pos, i) => createPlayer(1, i + 1, { ...pos }));
+
+  // Team 2 (Blue) - at the top of the field
+  const team2Players = kickoff.team2.map((pos, i) => createPlayer(2, i + 1, { ...pos }));
+
+  return {
+    balls: [ball, ...team1Players, ...team2Players],
+    field,
+    currentTeam: 1, // Team 1 starts
+    kickoffTeam: 1, // Team that took the last kickoff
+    selectedPlayerId: null, // No player selected initially
+    isMoving: false,
+    pendingGoal: null, // Goal scored during the current shot, applied once the pieces settle
+    ballTouched: false, // The shooting team has touched the ball during the current shot
+    lastTouch: null, // { pieceId, team } of the last player to touch the ball
+    pendingFoul: null, // Foul committed during the current shot
+    freeShotTeam: null, // Team whose next shot is a free shot
+    lastShot: null, // Most recent shot, as taken by takeShot
+    score: { team1: 0, team2: 0 },
+    rules: createRules(rules),
+    turnCount: 0, // Shots taken so far
+    elapsedMs: 0, // Match clock
+    overtime: false, // Golden goal overtime
+    stats: { goals: [], fouls: { team1: 0, team2: 0 } }, // Match stats
+    takebacks: { team1: 0, team2: 0 }, // Shots each team has taken back
+    gameMode: gameMode,
+    physicsBackend: isOnline ? PHYSICS_BACKENDS.CIRCLE : physicsBackend
+  };
+};
+
+/**
+ * Apply a goal: update the score and reset the pieces for kickoff
+ *
+ * The kickoff team is picked by the match rules.
+ *
+ * @param {Object} state - Game state at the moment of the goal
+ * @param {Number} team - Scoring team
+ * @returns {Object} Kickoff state with the updated score
+ */
+export const scoreGoal = (state, team) => {
+  const score = {
+    ...state.score,
+    [`team${team}`]: state.score[`team${team}`] + 1
+  };
+  const kickoffTeam = getKickoffTeam(state, team);
+
+  return {
+    ...initialGameState(state.gameMode, {
+      physicsBackend: state.physicsBackend,
+      arenaId: state.field.id,
+      rules: state.rules
+    }),
+    score,
+    currentTeam: kickoffTeam,
+    kickoffTeam,
+    turnCount: state.turnCount,
+    elapsedMs: state.elapsedMs,
+    overtime: state.overtime,
+    stats: state.stats,
+    takebacks: state.takebacks,
+    lastShot: state.lastShot,
+    gameMode: state.gameMode
+  };
+};
+
+/**
+ * Take a shot for the team to play
+ *
+ * Every shot - from the player, the AI or the server - goes through here, so
+ * `lastShot` always describes the shot that set the pieces moving.
+ *
+ * @param {Object} state - Game state with the pieces at rest
+ * @param {Object} shot - { pieceId, direction: {x, y}, power, spin }
+ * @returns {Object} Game state with the piece moving
+ */
+export const takeShot = (state, shot) => ({
+  ...applyShot(state, shot),
+  lastShot: {
+    turn: state.turnCount,
+    team: state.currentTeam,
+    pieceId: shot.pieceId,
+    direction: { ...shot.direction },
+    power: shot.power,
+    spin: shot.spin ?? 0
+  }
+});
+
+/**
+ * Hand over the turn once the pieces have settled - normally to the other
+ * team, unless the match rules give the shooting team another go
+ *
+ * @param {Object} state - Settled game state
+ * @returns {Object} Game state for the next turn
+ */
+export const endTurn = (state) => ({
+  ...state,
+  isMoving: false,
+  currentTeam: getNextTeam(state),
+  freeShotTeam: getFreeShotTeam(state),
+  selectedPlayerId: null,
+  ballTouched: false,
+  pendingFoul: null
+});
+
+/**
+ * Apply the outcome of simulation events to the game state
+ *
+ * Events are taken in order, so a goal is credited to the last piece that
+ * touched the ball before it went in. The first goal and the first foul of a
+ * shot are remembered while the pieces settle; the stats, score and kickoff
+ * (or the turn change) happen once everything is still.
+ *
+ * @param {Object} state - Game state after the simulation step
+ * @param {Array} events - Events emitted by the step
+ * @returns {Object} { state, goal, foul, turnOver } - `goal` and `foul` are
+ *   set when one happened in these events, `turnOver` when the shot has been
+ *   fully resolved
+ */
+export const resolveStepEvents = (state, events) => {
+  let nextState = state;
+  let goal = null;
+  let foul = null;
+
+  for (const event of events) {
+    if (event.type === 'collision') {
+      const toucher = getBallToucher(nextState, event);
+      if (toucher) {
+        nextState = {
+          ...nextState,
+          lastTouch: { pieceId: toucher.id, team: toucher.team },
+          ballTouched: nextState.ballTouched || toucher.team === nextState.currentTeam
+        };
+      }
+    } else if (event.type === 'goal' && !nextState.pendingGoal) {
+      goal = creditGoal(nextState, event);
+      nextState = { ...nextState, pendingGoal: goal };
+    } else if (event.type === 'areaEntered' && !nextState.pendingFoul) {
+      foul = checkAreaFoul(nextState, event);
+      if (foul) nextState = { ...nextState, pendingFoul: foul };
+    }
+  }
+
+  if (!events.some(e => e.type === 'settled')) {
+    return { state: nextState, goal, foul, turnOver: false };
+  }
+
+  nextState = { ...nextState, turnCount: nextState.turnCount + 1 };
+  nextState = { ...nextState, stats: recordShotStats(nextState) };
+  nextState = nextState.pendingGoal
+    ? scoreGoal(nextState, nextState.pendingGoal.team)
+    : endTurn(nextState);
+
+  return { state: nextState, goal, foul, turnOver: true };
+};
@@ -0,0 +1,54 @@
+import {
+  FIXED_TIMESTEP_MS,
+  GOAL_REPLAY_SPEED,
+  GOAL_REPLAY_LEAD_TICKS,
+  GOAL_REPLAY_TAIL_TICKS
+} from '../constants.js';
+
+// Instant goal replay.
+// When a shot scores, the moments around the goal are shown again in slow
+// motion before the kickoff layout appears. The replay is cut from the
+// keyframes of the shot: the same keyframes the server sends to clients
+// online, or the ones recorded while the shot was simulated locally. The
+// server and every client cut it the same way, so they agree on how long it
+// lasts.
+
+/**
+ * Cut the goal replay from a shot that scored
+ *
+ * @param {Object} shot - { keyframes, ticks, goalTick, goal } - as returned
+ *   by resolveShot
+ * @returns {Object|null} { keyframes, startTick, endTick, goal }, or null if
+ *   the shot did not score
+ */
+export const createGoalReplay = ({ keyframes, ticks, goalTick, goal }) => {
+  if (!goal || goalTick == null) return null;
+
+  return {
+    keyframes,
+    startTick: Math.max(0, goalTick - GOAL_REPLAY_LEAD_TICKS),
+    endTick: Math.min(ticks, goalTick + GOAL_REPLAY_TAIL_TICKS),
+    goal
+  };
+};
+
+/**
+ * How long a goal replay plays for
+ * @param {Object|null} goalReplay - Goal replay from createGoalReplay
+ * @returns {Number} Duration in ms, 0 when there is no replay
+ */
+export const getGoalReplayDuration = (goalReplay) => {
+  if (!goalReplay) return 0;
+  return (goalReplay.endTick - goalReplay.startTick) * FIXED_TIMESTEP_MS / GOAL_REPLAY_SPEED;
+};
+
+/**
+ * Shot tick shown at a point of a goal replay
+ * @param {Object} goalReplay - Goal replay from createGoalReplay
+ * @param {Number} elapsed - Time since the replay started, in ms
+ * @returns {Number} Fractional tick, for sampleKeyframes
+ */
+export const getGoalReplayTick = (goalReplay, elapsed) => Math.min(
+  goalReplay.endTick,
+  goalReplay.startTick + elapsed * GOAL_REPLAY_SPEED / FIXED_TIMESTEP_MS
+);
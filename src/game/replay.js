@@ -0,0 +1,213 @@
+import { PHYSICS_BACKENDS } from '../constants.js';
+import { step } from '../physics/engine.js';
+import { initialGameState, resolveStepEvents, takeShot } from './gameState.js';
+import { checkMatchEnd } from './rules.js';
+
+// Match replays.
+// A replay is a compact log: the match setup, where the pieces started and
+// every shot as it was taken. The match is rebuilt by simulating the shots
+// again, so nothing but the log has to be kept.
+//
+// The circle solver is deterministic, so its matches replay exactly. Other
+// backends also log the piece positions before every shot, and the replay
+// puts the pieces back there before simulating it, so small differences
+// never build up over a match.
+//
+// When the match ends the log is closed with the final score and a checksum
+// of the final state, so a re-simulation can be checked against the match
+// that was actually played.
+
+/**
+ * Positions of the pieces, by id
+ * @param {Array} balls - Pieces
+ * @returns {Object} Map of piece id to [x, y]
+ */
+const snapshotPieces = (balls) => {
+  const positions = {};
+  for (const ball of balls) {
+    positions[ball.id] = [ball.pos.x, ball.pos.y];
+  }
+  return positions;
+};
+
+/**
+ * Put the pieces at logged positions, at rest
+ * @param {Object} state - Game state
+ * @param {Object} positions - Map of piece id to [x, y]
+ * @returns {Object} Game state with the pieces moved
+ */
+const placePieces = (state, positions) => ({
+  ...state,
+  balls: state.balls.map(ball => {
+    const pos = positions[ball.id];
+    if (!pos) return ball;
+    return { ...ball, pos: { x: pos[0], y: pos[1] }, vel: { x: 0, y: 0 }, spin: 0 };
+  })
+});
+
+/**
+ * Start a replay log for a match
+ *
+ * @param {Object} state - Game state at the start of the match
+ * @returns {Object} Replay with no shots yet
+ */
+export const createReplay = (state) => ({
+  gameMode: state.gameMode,
+  arenaId: state.field.id,
+  physicsBackend: state.physicsBackend,
+  rules: state.rules,
+  start: {
+    currentTeam: state.currentTeam,
+    kickoffTeam: state.kickoffTeam,
+    score: { ...state.score },
+    pieces: snapshotPieces(state.balls)
+  },
+  shots: [],
+  final: null // Set by finishReplay
+});
+
+/**
+ * Add a shot to a replay
+ *
+ * A shot that is already in the log (the same turn seen again in a later
+ * state) is ignored.
+ *
+ * @param {Object} replay - Replay log
+ * @param {Object} state - Game state straight after takeShot
+ * @returns {Object} Replay with the shot added
+ */
+export const recordShot = (replay, state) => {
+  const previous = replay.shots[replay.shots.length - 1];
+  if (previous && previous.turn >= state.lastShot.turn) return replay;
+
+  const entry = { ...state.lastShot, direction: { ...state.lastShot.direction } };
+
+  // The pieces have not moved yet, only been given their velocity
+  if (replay.physicsBackend !== PHYSICS_BACKENDS.CIRCLE) {
+    entry.from = snapshotPieces(state.balls);
+  }
+
+  return { ...replay, shots: [...replay.shots, entry] };
+};
+
+/**
+ * Drop the shots a takeback undid from a replay
+ *
+ * @param {Object} replay - Replay log
+ * @param {Object} state - Game state the match went back to
+ * @returns {Object} Replay with only the shots taken before that state
+ */
+export const rewindReplay = (replay, state) => ({
+  ...replay,
+  shots: replay.shots.filter(shot => shot.turn < state.turnCount)
+});
+
+/**
+ * Checksum of the score and piece positions of a game state
+ *
+ * Positions are rounded to 1/1000 of a world unit before hashing (32-bit
+ * FNV-1a), so the same state always gives the same checksum on every
+ * machine.
+ *
+ * @param {Object} state - Game state
+ * @returns {String} Checksum as 8 hex digits
+ */
+export const checksumState = (state) => {
+  const parts = [`${state.score.team1}:${state.score.team2}`];
+  for (const ball of [...state.balls].sort((a, b) => (a.id < b.id ? -1 : 1))) {
+    parts.push(`${ball.id}@${ball.pos.x.toFixed(3)},${ball.pos.y.toFixed(3)}`);
+  }
+
+  let hash = 0x811c9dc5;
+  for (const char of parts.join(';')) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+};
+
+/**
+ * Close a replay log at the end of a match
+ *
+ * @param {Object} replay - Replay log
+ * @param {Object} state - Final game state
+ * @returns {Object} Replay with `final` { score, checksum }
+ */
+export const finishReplay = (replay, state) => ({
+  ...replay,
+  final: { score: { ...state.score }, checksum: checksumState(state) }
+});
+
+/**
+ * Whether a re-simulated replay ends the way the match did
+ *
+ * @param {Object} replay - Replay log
+ * @param {Object} finalState - Final state from simulateReplay
+ * @returns {Boolean|null} True if the checksums match, null if the replay
+ *   was never finished
+ */
+export const verifyReplay = (replay, finalState) => {
+  if (!replay.final) return null;
+  return replay.final.checksum === checksumState(finalState);
+};
+
+/**
+ * Game state at the start of a replayed match
+ * @param {Object} replay - Replay log
+ * @returns {Object} Game state
+ */
+export const getReplayStartState = (replay) => {
+  const state = initialGameState(replay.gameMode, {
+    physicsBackend: replay.physicsBackend,
+    arenaId: replay.arenaId,
+    rules: replay.rules
+  });
+
+  return {
+    ...placePieces(state, replay.start.pieces),
+    currentTeam: replay.start.currentTeam,
+    kickoffTeam: replay.start.kickoffTeam,
+    score: { ...replay.start.score }
+  };
+};
+
+/**
+ * Simulate a replay into frames for playback
+ *
+ * There is one frame per fixed step, plus the starting frame. Each frame
+ * holds the pieces and the score at that moment; `shots` gives the frame
+ * each shot starts at.
+ *
+ * @param {Object} replay - Replay log
+ * @param {Object} options - { backend, maxStepsPerShot } - backend defaults
+ *   to the circle solver
+ * @returns {Object} { frames, shots, finalState }
+ */
+export const simulateReplay = (replay, { backend = null, maxStepsPerShot = 60 * 60 } = {}) => {
+  const stepFn = backend ? (state) => backend.step(state, 1) : (state) => step(state, 1);
+  let state = getReplayStartState(replay);
+  const frames = [{ balls: state.balls, score: state.score }];
+  const shots = [];
+
+  for (const shot of replay.shots) {
+    if (shot.from) state = placePieces(state, shot.from);
+
+    const entry = { ...shot, frame: frames.length - 1, goal: null };
+    shots.push(entry);
+    state = takeShot({ ...state, currentTeam: shot.team }, shot);
+
+    for (let tick = 0; tick < maxStepsPerShot; tick++) {
+      const result = stepFn(state);
+      const { state: resolved, goal, turnOver } = resolveStepEvents(result.state, result.events);
+      state = resolved;
+      if (goal) entry.goal = goal;
+
+      frames.push({ balls: state.balls, score: state.score });
+      if (turnOver) break;
+    }
+
+    state = checkMatchEnd(state).state;
+  }
+
+  return { frames, shots, finalState: state };
+};
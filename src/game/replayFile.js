@@ -0,0 +1,246 @@
+import { DEFAULT_MATCH_RULES, GAME_MODES, PHYSICS_BACKENDS } from '../constants.js';
+import { ARENAS } from '../arenas/index.js';
+import { createRules } from './rules.js';
+
+// Shareable replay files.
+// A replay file is versioned JSON holding everything needed to re-simulate a
+// match: arena, physics backend, rules, the starting position of every
+// piece, each shot and the final score with its checksum (see replay.js).
+//
+//   {
+//     "format": "soccer-stars-replay",
+//     "version": 1,
+//     "gameMode": "vs_ai",
+//     "arena": "classic",
+//     "physicsBackend": "circle",
+//     "rules": { ...match rules },
+//     "setup": { "currentTeam": 1, "kickoffTeam": 1, "score": {...},
+//                "pieces": { "<piece id>": [x, y] } },
+//     "shots": [{ "turn", "team", "pieceId", "direction": {x, y}, "power",
+//                 "spin", "from"? }],
+//     "final": { "score": {...}, "checksum": "1a2b3c4d" } | null
+//   }
+//
+// For links the same content is packed into arrays, with only the rules
+// that differ from the defaults, and base64url encoded.
+
+export const REPLAY_FILE_FORMAT = 'soccer-stars-replay';
+export const REPLAY_FILE_VERSION = 1;
+export const REPLAY_LINK_PARAM = 'replay';
+
+/**
+ * Turn a replay log into a replay file
+ * @param {Object} replay - Replay log
+ * @returns {Object} Replay file contents
+ */
+export const exportReplay = (replay) => ({
+  format: REPLAY_FILE_FORMAT,
+  version: REPLAY_FILE_VERSION,
+  gameMode: replay.gameMode,
+  arena: replay.arenaId,
+  physicsBackend: replay.physicsBackend,
+  rules: replay.rules,
+  setup: replay.start,
+  shots: replay.shots,
+  final: replay.final
+});
+
+/**
+ * Check a replay file and turn it back into a replay log
+ *
+ * @param {Object} file - Replay file contents
+ * @returns {Object} Replay log
+ * @throws {Error} If the file is not a valid replay
+ */
+export const importReplay = (file) => {
+  const fail = (message) => {
+    throw new Error(`Invalid replay: ${message}`);
+  };
+
+  if (!file || file.format !== REPLAY_FILE_FORMAT) fail('not a replay file');
+  if (file.version !== REPLAY_FILE_VERSION) fail(`unsupported version ${file.version}`);
+  if (!Object.values(GAME_MODES).includes(file.gameMode)) fail(`unknown game mode "${file.gameMode}"`);
+  if (!ARENAS.some(arena => arena.id === file.arena)) fail(`unknown arena "${file.arena}"`);
+  if (!Object.values(PHYSICS_BACKENDS).includes(file.physicsBackend)) {
+    fail(`unknown physics backend "${file.physicsBackend}"`);
+  }
+
+  let rules;
+  try {
+    rules = createRules(file.rules);
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const { setup } = file;
+  const isTeam = (team) => team === 1 || team === 2;
+  const isPosition = (pos) => Array.isArray(pos) && pos.length === 2 && pos.every(Number.isFinite);
+  if (!setup || !isTeam(setup.currentTeam) || !setup.pieces || !setup.score) fail('missing setup');
+  if (!Object.values(setup.pieces).every(isPosition)) fail('invalid piece position in setup');
+
+  if (!Array.isArray(file.shots)) fail('missing shots');
+  file.shots.forEach((shot, index) => {
+    const valid =
+      Number.isInteger(shot.turn) &&
+      isTeam(shot.team) &&
+      Object.hasOwn(setup.pieces, shot.pieceId) &&
+      Number.isFinite(shot.direction?.x) && Number.isFinite(shot.direction?.y) &&
+      Number.isFinite(shot.power) && Number.isFinite(shot.spin) &&
+      (shot.from === undefined || Object.values(shot.from).every(isPosition));
+    if (!valid) fail(`invalid shot ${index}`);
+  });
+
+  return {
+    gameMode: file.gameMode,
+    arenaId: file.arena,
+    physicsBackend: file.physicsBackend,
+    rules,
+    start: setup,
+    shots: file.shots,
+    final: file.final || null
+  };
+};
+
+/**
+ * Replay log as the text of a replay file
+ * @param {Object} replay - Replay log
+ * @returns {String} JSON
+ */
+export const replayToJson = (replay) => JSON.stringify(exportReplay(replay), null, 2);
+
+/**
+ * Read the text of a replay file
+ * @param {String} text - JSON
+ * @returns {Object} Replay log
+ * @throws {Error} If the text is not a valid replay
+ */
+export const replayFromJson = (text) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error('Invalid replay: not JSON');
+  }
+  return importReplay(file);
+};
+
+/**
+ * Base64url encoding of a string, in the browser and in Node
+ * @param {String} text - Text to encode
+ * @returns {String} Base64url without padding
+ */
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decode base64url
+ * @param {String} code - Base64url text
+ * @returns {String} Decoded text
+ */
+const fromBase64Url = (code) => {
+  const binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+/**
+ * Pack a replay file into arrays for a short link
+ * @param {Object} file - Replay file contents
+ * @returns {Array} Packed replay
+ */
+const packReplay = (file) => {
+  const rules = {};
+  for (const [key, value] of Object.entries(file.rules)) {
+    if (DEFAULT_MATCH_RULES[key] !== value) rules[key] = value;
+  }
+
+  const { setup } = file;
+  return [
+    file.version,
+    file.gameMode,
+    file.arena,
+    file.physicsBackend,
+    rules,
+    [setup.currentTeam, setup.kickoffTeam, setup.score.team1, setup.score.team2, setup.pieces],
+    file.shots.map(shot => {
+      const packed = [shot.turn, shot.team, shot.pieceId, shot.direction.x, shot.direction.y, shot.power, shot.spin];
+      if (shot.from) packed.push(shot.from);
+      return packed;
+    }),
+    file.final ? [file.final.score.team1, file.final.score.team2, file.final.checksum] : null
+  ];
+};
+
+/**
+ * Unpack a replay packed by packReplay
+ * @param {Array} packed - Packed replay
+ * @returns {Object} Replay file contents
+ */
+const unpackReplay = (packed) => {
+  const [version, gameMode, arena, physicsBackend, rules, setup, shots, final] = packed;
+  const [currentTeam, kickoffTeam, team1, team2, pieces] = setup;
+
+  return {
+    format: REPLAY_FILE_FORMAT,
+    version,
+    gameMode,
+    arena,
+    physicsBackend,
+    rules,
+    setup: { currentTeam, kickoffTeam, score: { team1, team2 }, pieces },
+    shots: shots.map(([turn, team, pieceId, x, y, power, spin, from]) => ({
+      turn,
+      team,
+      pieceId,
+      direction: { x, y },
+      power,
+      spin,
+      ...(from ? { from } : {})
+    })),
+    final: final ? { score: { team1: final[0], team2: final[1] }, checksum: final[2] } : null
+  };
+};
+
+/**
+ * Replay log as a compact code for links
+ * @param {Object} replay - Replay log
+ * @returns {String} Base64url code
+ */
+export const replayToCode = (replay) => toBase64Url(JSON.stringify(packReplay(exportReplay(replay))));
+
+/**
+ * Read a replay code, a link holding one, or the text of a replay file
+ *
+ * @param {String} text - Code, link or JSON
+ * @returns {Object} Replay log
+ * @throws {Error} If the text holds no valid replay
+ */
+export const replayFromText = (text) => {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) return replayFromJson(trimmed);
+
+  const match = new RegExp(`[#?&]${REPLAY_LINK_PARAM}=([\\w-]+)`).exec(trimmed);
+  const code = match ? match[1] : trimmed;
+
+  let packed;
+  try {
+    packed = JSON.parse(fromBase64Url(code));
+  } catch {
+    throw new Error('Invalid replay: not a replay link or code');
+  }
+  if (!Array.isArray(packed) || !Array.isArray(packed[5]) || !Array.isArray(packed[6])) {
+    throw new Error('Invalid replay: not a replay link or code');
+  }
+  return importReplay(unpackReplay(packed));
+};
+
+/**
+ * Link that opens a replay
+ * @param {Object} replay - Replay log
+ * @param {String} baseUrl - Address of the game
+ * @returns {String} Link with the replay code in the hash
+ */
+export const getReplayLink = (replay, baseUrl) => `${baseUrl}#${REPLAY_LINK_PARAM}=${replayToCode(replay)}`;
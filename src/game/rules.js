@@ -0,0 +1,305 @@
+import {
+  DEFAULT_MATCH_RULES,
+  TIE_BREAKS,
+  KICKOFF_RULES,
+  PENALTIES,
+  AIM_ASSIST,
+  AIM_ASSIST_BY_DIFFICULTY,
+  DEFAULT_AIM_ASSIST,
+  GAME_MODES
+} from '../constants.js';
+
+// Match rules. The rules object travels with the game state (and the room
+// on the server), so every part of the game reads the same win conditions.
+//
+// Regulation ends when the goal target is reached, the match clock runs out
+// or the turn limit is used up. If the scores are level at that point the
+// tie break decides: golden goal overtime, or a draw.
+//
+// The restart rules decide who plays next: after a goal the conceding team
+// kicks off (or kickoffs alternate), and optionally a goal or a touch of the
+// ball earns the shooting team another turn.
+//
+// The last piece to touch the ball is credited with a goal, which makes it
+// an own goal if that piece plays for the other team. Moving one of your
+// pieces into your own goal area can be punished as a foul, optionally with
+// a free shot for the opponent. Goals and fouls are kept in `state.stats`.
+
+export const MATCH_END_REASONS = {
+  TARGET_GOALS: 'targetGoals',
+  TIME: 'time',
+  TURNS: 'turns',
+  GOLDEN_GOAL: 'goldenGoal',
+  DRAW: 'draw'
+};
+
+/**
+ * Check a limit that is either null (off) or a positive number
+ * @param {*} value - Value to check
+ * @returns {Boolean} True if the value is a valid limit
+ */
+const isLimit = (value) => value === null || (Number.isFinite(value) && value > 0);
+
+/**
+ * Build a rules object from the defaults and some overrides
+ *
+ * @param {Object} overrides - Rules to change from DEFAULT_MATCH_RULES
+ * @returns {Object} Match rules
+ * @throws {Error} If a rule has an invalid value
+ */
+export const createRules = (overrides = {}) => {
+  const rules = { ...DEFAULT_MATCH_RULES, ...overrides };
+
+  for (const key of ['targetGoals', 'matchTimeMs', 'maxTurns', 'turnTimeLimit']) {
+    if (!isLimit(rules[key])) throw new Error(`Invalid match rule ${key}: ${rules[key]}`);
+  }
+  if (!Object.values(TIE_BREAKS).includes(rules.tieBreak)) {
+    throw new Error(`Invalid match rule tieBreak: ${rules.tieBreak}`);
+  }
+  if (!Object.values(KICKOFF_RULES).includes(rules.kickoff)) {
+    throw new Error(`Invalid match rule kickoff: ${rules.kickoff}`);
+  }
+  if (!Object.values(PENALTIES).includes(rules.ownAreaPenalty)) {
+    throw new Error(`Invalid match rule ownAreaPenalty: ${rules.ownAreaPenalty}`);
+  }
+  if (rules.aimAssist !== null && !Object.values(AIM_ASSIST).includes(rules.aimAssist)) {
+    throw new Error(`Invalid match rule aimAssist: ${rules.aimAssist}`);
+  }
+  if (rules.takebacks !== null && !(Number.isInteger(rules.takebacks) && rules.takebacks >= 0)) {
+    throw new Error(`Invalid match rule takebacks: ${rules.takebacks}`);
+  }
+  for (const key of ['extraTurnOnGoal', 'extraTurnOnTouch']) {
+    if (typeof rules[key] !== 'boolean') throw new Error(`Invalid match rule ${key}: ${rules[key]}`);
+  }
+  if (rules.targetGoals === null && rules.matchTimeMs === null && rules.maxTurns === null) {
+    throw new Error('Match rules need a goal target, a clock or a turn limit');
+  }
+
+  return rules;
+};
+
+/**
+ * The other team
+ * @param {Number} team - Team number (1 or 2)
+ * @returns {Number} Opposing team
+ */
+export const otherTeam = (team) => (team === 1 ? 2 : 1);
+
+/**
+ * Team that kicks off after a goal
+ *
+ * @param {Object} state - Game state when the goal is applied
+ * @param {Number} scoringTeam - Team that scored
+ * @returns {Number} Team to take the kickoff
+ */
+export const getKickoffTeam = (state, scoringTeam) => {
+  const { rules } = state;
+  if (rules.extraTurnOnGoal) return scoringTeam;
+  if (rules.kickoff === KICKOFF_RULES.ALTERNATE) return otherTeam(state.kickoffTeam);
+  return otherTeam(scoringTeam);
+};
+
+/**
+ * Team that plays after a shot without a goal
+ *
+ * A foul always hands the turn over. A team that has just taken a free shot
+ * plays its own turn next.
+ *
+ * @param {Object} state - Settled game state; `ballTouched` is set when the
+ *   shooting team touched the ball during the shot
+ * @returns {Number} Team to play next
+ */
+export const getNextTeam = (state) => {
+  if (state.pendingFoul) return otherTeam(state.currentTeam);
+  if (state.freeShotTeam === state.currentTeam) return state.currentTeam;
+  if (state.rules.extraTurnOnTouch && state.ballTouched) return state.currentTeam;
+  return otherTeam(state.currentTeam);
+};
+
+/**
+ * Team owed a free shot after a shot without a goal
+ * @param {Object} state - Settled game state
+ * @returns {Number|null} Team that takes a free shot next, or null
+ */
+export const getFreeShotTeam = (state) => {
+  if (state.pendingFoul && state.rules.ownAreaPenalty === PENALTIES.FREE_SHOT) {
+    return otherTeam(state.pendingFoul.team);
+  }
+  return null;
+};
+
+/**
+ * Player piece that touched the ball in a collision event
+ *
+ * @param {Object} state - Game state during the shot
+ * @param {Object} event - Simulation event
+ * @returns {Object|null} The player piece, or null if the event is not a
+ *   player touching the ball
+ */
+export const getBallToucher = (state, event) => {
+  if (event.type !== 'collision') return null;
+
+  const otherId = event.a === 'ball' ? event.b : event.b === 'ball' ? event.a : null;
+  if (!otherId) return null;
+
+  const piece = state.balls.find(b => b.id === otherId);
+  return piece && piece.isPlayer ? piece : null;
+};
+
+/**
+ * Credit a goal to the piece that last touched the ball
+ *
+ * @param {Object} state - Game state at the moment of the goal
+ * @param {Object} event - `goal` event
+ * @returns {Object} { team, side, scorerId, ownGoal } - scorerId is null if
+ *   no player has touched the ball since kickoff
+ */
+export const creditGoal = (state, event) => {
+  const { lastTouch } = state;
+  return {
+    team: event.team,
+    side: event.side,
+    scorerId: lastTouch ? lastTouch.pieceId : null,
+    ownGoal: !!lastTouch && lastTouch.team !== event.team
+  };
+};
+
+/**
+ * Foul committed by a piece entering a goal area, if the rules punish it
+ *
+ * Only the shooting team can commit a foul; a piece knocked into its own
+ * area by the opponent is not penalised.
+ *
+ * @param {Object} state - Game state during the shot
+ * @param {Object} event - `areaEntered` event
+ * @returns {Object|null} { team, pieceId }, or null if this is no foul
+ */
+export const checkAreaFoul = (state, event) => {
+  if (state.rules.ownAreaPenalty === PENALTIES.NONE) return null;
+
+  const piece = state.balls.find(b => b.id === event.id);
+  if (!piece || !piece.isPlayer || piece.team !== state.currentTeam) return null;
+
+  // A team defends the goal that the other team scores in
+  const goal = state.field.goals.find(g => g.side === event.side);
+  if (!goal || goal.scoringTeam === piece.team) return null;
+
+  return { team: piece.team, pieceId: piece.id };
+};
+
+/**
+ * Add the goal and foul of a finished shot to the match stats
+ * @param {Object} state - Settled game state
+ * @returns {Object} Updated stats
+ */
+export const recordShotStats = (state) => {
+  const { stats, pendingGoal, pendingFoul } = state;
+  let { goals, fouls } = stats;
+
+  if (pendingGoal) {
+    goals = [...goals, { ...pendingGoal, turn: state.turnCount, elapsedMs: state.elapsedMs }];
+  }
+  if (pendingFoul) {
+    const key = `team${pendingFoul.team}`;
+    fouls = { ...fouls, [key]: fouls[key] + 1 };
+  }
+
+  return { ...stats, goals, fouls };
+};
+
+/**
+ * How much of a shot the aim line previews
+ *
+ * The match rules decide if they set `aimAssist`; otherwise games against the
+ * AI give less help the harder the AI.
+ *
+ * @param {Object} state - Game state
+ * @param {String} aiDifficulty - Difficulty of the AI opponent
+ * @returns {String} One of AIM_ASSIST
+ */
+export const getAimAssist = (state, aiDifficulty) => {
+  if (state.rules.aimAssist !== null) return state.rules.aimAssist;
+  if (state.gameMode === GAME_MODES.VS_AI) {
+    return AIM_ASSIST_BY_DIFFICULTY[aiDifficulty] ?? DEFAULT_AIM_ASSIST;
+  }
+  return DEFAULT_AIM_ASSIST;
+};
+
+/**
+ * Advance the match clock
+ * @param {Object} state - Game state
+ * @param {Number} ms - Milliseconds that have passed
+ * @returns {Object} Game state with the clock moved on
+ */
+export const tickMatchClock = (state, ms) => ({
+  ...state,
+  elapsedMs: state.elapsedMs + ms
+});
+
+/**
+ * Time left on the match clock
+ * @param {Object} state - Game state
+ * @returns {Number|null} Milliseconds left, or null if the match has no clock
+ */
+export const getRemainingTime = (state) => (
+  state.rules.matchTimeMs === null
+    ? null
+    : Math.max(0, state.rules.matchTimeMs - state.elapsedMs)
+);
+
+/**
+ * Leading team for a score
+ * @param {Object} score - { team1, team2 }
+ * @returns {Number|null} Team in front, or null if level
+ */
+const getLeader = (score) => {
+  if (score.team1 > score.team2) return 1;
+  if (score.team2 > score.team1) return 2;
+  return null;
+};
+
+/**
+ * Decide whether the match is over
+ *
+ * Call this when the pieces are at rest: after every turn, and when the
+ * match clock runs out between shots. Sandbox games never end.
+ *
+ * @param {Object} state - Game state at rest
+ * @returns {Object} { state, result } - `state` has `overtime` set when golden
+ *   goal overtime starts; `result` is { winner, draw, reason } once the match
+ *   is over, or null while it goes on
+ */
+export const checkMatchEnd = (state) => {
+  if (state.gameMode === GAME_MODES.SANDBOX) return { state, result: null };
+
+  const { rules, score } = state;
+  const leader = getLeader(score);
+
+  if (rules.targetGoals !== null && Math.max(score.team1, score.team2) >= rules.targetGoals) {
+    return { state, result: { winner: leader, draw: false, reason: MATCH_END_REASONS.TARGET_GOALS } };
+  }
+
+  if (state.overtime) {
+    const result = leader ? { winner: leader, draw: false, reason: MATCH_END_REASONS.GOLDEN_GOAL } : null;
+    return { state, result };
+  }
+
+  let reason = null;
+  if (rules.matchTimeMs !== null && state.elapsedMs >= rules.matchTimeMs) {
+    reason = MATCH_END_REASONS.TIME;
+  } else if (rules.maxTurns !== null && state.turnCount >= rules.maxTurns) {
+    reason = MATCH_END_REASONS.TURNS;
+  }
+
+  if (!reason) return { state, result: null };
+
+  if (leader) {
+    return { state, result: { winner: leader, draw: false, reason } };
+  }
+
+  if (rules.tieBreak === TIE_BREAKS.DRAW) {
+    return { state, result: { winner: null, draw: true, reason: MATCH_END_REASONS.DRAW } };
+  }
+
+  return { state: { ...state, overtime: true }, result: null };
+};
@@ -0,0 +1,187 @@
+import { GAME_MODES } from '../constants.js';
+import { createBall, createPlayer, initialGameState } from './gameState.js';
+
+// Sandbox position editor.
+// In sandbox games any piece can be picked up and put down anywhere on the
+// pitch, pieces can be added and removed and either team can be given the
+// next shot. Shots then play out with the normal physics.
+//
+// A position is the layout on its own - arena, team to play and pieces - so
+// it can be saved and set up again later:
+//
+//   { arenaId, currentTeam, pieces: [{ id, team, pos: {x, y} }] }
+
+/**
+ * Keep a piece inside the pitch
+ * @param {Object} field - Field description
+ * @param {Object} piece - Piece
+ * @param {Object} pos - Wanted position {x, y}
+ * @returns {Object} Nearest position with the whole piece on the pitch
+ */
+const clampToField = (field, piece, pos) => {
+  const radius = piece.size / 2;
+  return {
+    x: Math.min(field.width - radius, Math.max(radius, pos.x)),
+    y: Math.min(field.height - radius, Math.max(radius, pos.y))
+  };
+};
+
+/**
+ * Whether a piece at a position would overlap any other piece
+ * @param {Array} balls - Pieces
+ * @param {Object} piece - Piece being placed
+ * @param {Object} pos - Position {x, y}
+ * @returns {Boolean} True if it overlaps
+ */
+const overlapsPiece = (balls, piece, pos) => balls.some(other => {
+  if (other.id === piece.id) return false;
+  const dx = other.pos.x - pos.x;
+  const dy = other.pos.y - pos.y;
+  const minDistance = (other.size + piece.size) / 2;
+  return dx * dx + dy * dy < minDistance * minDistance;
+});
+
+/**
+ * Where a piece being dragged would be put down
+ *
+ * @param {Object} state - Game state
+ * @param {String} id - Piece id
+ * @param {Object} pos - Pointer position {x, y}
+ * @returns {Object} { pos, valid } - the position kept on the pitch, and
+ *   whether the piece can go there without overlapping another one
+ */
+export const getPlacement = (state, id, pos) => {
+  const piece = state.balls.find(b => b.id === id);
+  const placed = clampToField(state.field, piece, pos);
+  return { pos: placed, valid: !overlapsPiece(state.balls, piece, placed) };
+};
+
+/**
+ * Put a piece down somewhere else, at rest
+ *
+ * @param {Object} state - Game state
+ * @param {String} id - Piece id
+ * @param {Object} pos - Wanted position {x, y}
+ * @returns {Object} Game state; unchanged if the piece would overlap another
+ */
+export const movePiece = (state, id, pos) => {
+  const placement = getPlacement(state, id, pos);
+  if (!placement.valid) return state;
+
+  return {
+    ...state,
+    balls: state.balls.map(ball => (
+      ball.id === id ? { ...ball, pos: placement.pos, vel: { x: 0, y: 0 }, spin: 0 } : ball
+    ))
+  };
+};
+
+/**
+ * Free spot for a new piece, searched outwards from the center spot
+ * @param {Object} state - Game state
+ * @param {Object} piece - Piece to place
+ * @returns {Object|null} Position {x, y}, or null if the pitch is full
+ */
+const findFreeSpot = (state, piece) => {
+  const { width, height } = state.field;
+  const center = { x: width / 2, y: height / 2 };
+  const stepSize = piece.size;
+  const maxRing = Math.ceil(Math.max(width, height) / stepSize);
+
+  for (let ring = 0; ring <= maxRing; ring++) {
+    for (let dy = -ring; dy <= ring; dy++) {
+      for (let dx = -ring; dx <= ring; dx++) {
+        if (Math.max(Math.abs(dx), Math.abs(dy)) !== ring) continue;
+        const pos = { x: center.x + dx * stepSize, y: center.y + dy * stepSize };
+        const placed = clampToField(state.field, piece, pos);
+        if (placed.x === pos.x && placed.y === pos.y && !overlapsPiece(state.balls, piece, pos)) {
+          return pos;
+        }
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Add a player to a team, or the ball if it is missing
+ *
+ * @param {Object} state - Game state
+ * @param {Number|null} team - Team number (1 or 2), or null for the ball
+ * @returns {Object} Game state; unchanged if there is no room, or the ball
+ *   is already on the pitch
+ */
+export const addPiece = (state, team) => {
+  let piece;
+  if (team === null) {
+    if (state.balls.some(b => b.id === 'ball')) return state;
+    piece = createBall({ x: 0, y: 0 });
+  } else {
+    // Next free player number of the team
+    const prefix = `team${team}-player`;
+    const numbers = state.balls
+      .filter(b => b.id.startsWith(prefix))
+      .map(b => Number(b.id.slice(prefix.length)));
+    piece = createPlayer(team, Math.max(0, ...numbers) + 1, { x: 0, y: 0 });
+  }
+
+  const pos = findFreeSpot(state, piece);
+  if (!pos) return state;
+
+  return { ...state, balls: [...state.balls, { ...piece, pos }] };
+};
+
+/**
+ * Take a piece off the pitch
+ * @param {Object} state - Game state
+ * @param {String} id - Piece id
+ * @returns {Object} Game state
+ */
+export const removePiece = (state, id) => ({
+  ...state,
+  balls: state.balls.filter(b => b.id !== id),
+  selectedPlayerId: state.selectedPlayerId === id ? null : state.selectedPlayerId
+});
+
+/**
+ * Give a team the next shot
+ * @param {Object} state - Game state
+ * @param {Number} team - Team number (1 or 2)
+ * @returns {Object} Game state
+ */
+export const setTeamToPlay = (state, team) => ({
+  ...state,
+  currentTeam: team,
+  freeShotTeam: null,
+  selectedPlayerId: null
+});
+
+/**
+ * Position of a sandbox game, for saving
+ * @param {Object} state - Game state at rest
+ * @returns {Object} Position
+ */
+export const getSandboxPosition = (state) => ({
+  arenaId: state.field.id,
+  currentTeam: state.currentTeam,
+  pieces: state.balls.map(ball => ({ id: ball.id, team: ball.team, pos: { ...ball.pos } }))
+});
+
+/**
+ * Sandbox game set up in a saved position
+ *
+ * @param {Object} position - Position from getSandboxPosition
+ * @param {Object} options - { physicsBackend }
+ * @returns {Object} Game state
+ */
+export const loadSandboxPosition = (position, { physicsBackend } = {}) => {
+  const state = initialGameState(GAME_MODES.SANDBOX, { physicsBackend, arenaId: position.arenaId });
+
+  const balls = position.pieces.map(({ id, team, pos }) => {
+    if (id === 'ball') return createBall({ ...pos });
+    const index = Number(id.slice(`team${team}-player`.length));
+    return createPlayer(team, index, { ...pos });
+  });
+
+  return { ...state, balls, currentTeam: position.currentTeam };
+};
@@ -0,0 +1,137 @@
+import {
+  MAX_PULL_DISTANCE,
+  POWER_FACTOR,
+  MAX_SPIN,
+  KEYFRAME_INTERVAL
+} from '../constants.js';
+import { simulateToRest } from '../physics/engine.js';
+import { resolveStepEvents, takeShot } from './gameState.js';
+
+// Resolving a whole shot from launch to rest. The server uses this to decide
+// the outcome of online moves; clients only play back the keyframes.
+
+/**
+ * Check that a move is legal for the given state and team
+ *
+ * @param {Object} state - Current game state
+ * @param {Object} move - { playerId, direction: {x, y}, power, spin }
+ * @param {Number} team - Team of the player sending the move
+ * @returns {String|null} Reason the move is rejected, or null if it is valid
+ */
+export const validateMove = (state, move, team) => {
+  if (!state) return 'No game in progress';
+  if (state.isMoving) return 'Pieces are still moving';
+  if (state.currentTeam !== team) return 'Not your turn';
+  if (!move || !move.direction) return 'Invalid move data';
+
+  const piece = state.balls.find(b => b.id === move.playerId);
+  if (!piece || !piece.isPlayer) return 'Unknown piece';
+  if (piece.team !== team) return 'Piece belongs to the other team';
+
+  const { x, y } = move.direction;
+  if (!Number.isFinite(x) || !Number.isFinite(y)) return 'Invalid direction';
+  if (Math.abs(Math.sqrt(x * x + y * y) - 1) > 0.01) return 'Direction must be normalized';
+
+  if (!Number.isFinite(move.power) || move.power <= 0) return 'Invalid power';
+  if (move.power > MAX_PULL_DISTANCE * POWER_FACTOR + 1e-6) return 'Power too high';
+
+  const spin = move.spin ?? 0;
+  if (!Number.isFinite(spin) || Math.abs(spin) > MAX_SPIN + 1e-6) return 'Invalid spin';
+
+  return null;
+};
+
+/**
+ * Snapshot of piece positions, rounded to keep network payloads small
+ * @param {Array} balls - Pieces
+ * @returns {Object} Map of piece id to [x, y]
+ */
+export const snapshotPositions = (balls) => {
+  const positions = {};
+  for (const ball of balls) {
+    positions[ball.id] = [
+      Math.round(ball.pos.x * 100) / 100,
+      Math.round(ball.pos.y * 100) / 100
+    ];
+  }
+  return positions;
+};
+
+/**
+ * Simulate a move to rest and work out the state for the next turn
+ *
+ * @param {Object} state - Game state before the move
+ * @param {Object} move - { playerId, direction: {x, y}, power, spin }
+ * @param {Object} options - { keyframeInterval }
+ * @returns {Object} { move, keyframes, ticks, goalTick, goal, foul,
+ *   finalState } - goalTick is the tick the ball crossed the line, or null
+ */
+export const resolveShot = (state, move, { keyframeInterval = KEYFRAME_INTERVAL } = {}) => {
+  const shotState = takeShot(state, {
+    pieceId: move.playerId,
+    direction: move.direction,
+    power: move.power,
+    spin: move.spin ?? 0
+  });
+
+  const keyframes = [{ tick: 0, positions: snapshotPositions(shotState.balls) }];
+  let goalTick = null;
+
+  const result = simulateToRest(shotState, {
+    onStep: (current, events, tick) => {
+      if (goalTick === null && events.some(e => e.type === 'goal')) {
+        goalTick = tick;
+      }
+      if (tick % keyframeInterval === 0) {
+        keyframes.push({ tick, positions: snapshotPositions(current.balls) });
+      }
+    }
+  });
+
+  // Always end on the exact resting frame
+  if (keyframes[keyframes.length - 1].tick !== result.steps) {
+    keyframes.push({ tick: result.steps, positions: snapshotPositions(result.state.balls) });
+  }
+
+  const { state: finalState, goal, foul } = resolveStepEvents(result.state, result.events);
+
+  return {
+    move,
+    keyframes,
+    ticks: result.steps,
+    goalTick,
+    goal,
+    foul,
+    finalState
+  };
+};
+
+/**
+ * Piece positions at a (fractional) tick of a resolved shot
+ *
+ * @param {Array} keyframes - Keyframes from resolveShot
+ * @param {Number} tick - Tick to sample
+ * @returns {Object} Map of piece id to {x, y}
+ */
+export const sampleKeyframes = (keyframes, tick) => {
+  let index = 0;
+  while (index < keyframes.length - 2 && keyframes[index + 1].tick <= tick) {
+    index++;
+  }
+
+  const from = keyframes[index];
+  const to = keyframes[Math.min(index + 1, keyframes.length - 1)];
+  const span = to.tick - from.tick;
+  const t = span > 0 ? Math.min(1, Math.max(0, (tick - from.tick) / span)) : 1;
+
+  const positions = {};
+  for (const id of Object.keys(to.positions)) {
+    const [fromX, fromY] = from.positions[id] || to.positions[id];
+    const [toX, toY] = to.positions[id];
+    positions[id] = {
+      x: fromX + (toX - fromX) * t,
+      y: fromY + (toY - fromY) * t
+    };
+  }
+  return positions;
+};
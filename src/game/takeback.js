@@ -0,0 +1,109 @@
+import { GAME_MODES } from '../constants.js';
+
+// Taking back shots.
+// The turn history is a stack of game states, one pushed at rest before
+// every shot. Taking back a team's last shot pops the stack down to the state
+// that shot was taken from, which restores the positions, score, stats and
+// the team to play. Any shots the opponent took since go with it.
+//
+// The `takebacks` match rule limits how many shots each team may take back:
+// null for no limit, 0 to turn takebacks off. Online, the opponent has to
+// agree to a takeback before the server applies it.
+
+/**
+ * Add the state a shot is about to be taken from to the turn history
+ * @param {Array} history - Turn history, oldest first
+ * @param {Object} state - Game state at rest, before the shot
+ * @returns {Array} Turn history with the state on top
+ */
+export const recordTurn = (history, state) => [...history, state];
+
+/**
+ * Team whose shot a takeback undoes
+ *
+ * Against the AI it is always the human player's last shot, so the AI's
+ * reply goes with it. In local two-player games it is simply the last shot.
+ * When two AIs play each other there is nobody to take a shot back.
+ *
+ * @param {Object} state - Current game state
+ * @param {Array} history - Turn history
+ * @param {Number} humanTeam - Team the human plays against the AI
+ * @returns {Number|null} Team, or null if no shot has been taken
+ */
+export const getTakebackTeam = (state, history, humanTeam = 1) => {
+  if (state.gameMode === GAME_MODES.AI_VS_AI) return null;
+  if (state.gameMode === GAME_MODES.VS_AI) return humanTeam;
+  return history.length > 0 ? history[history.length - 1].currentTeam : null;
+};
+
+/**
+ * Takebacks a team has left this match
+ * @param {Object} state - Game state
+ * @param {Number} team - Team number (1 or 2)
+ * @returns {Number} Takebacks left; Infinity when there is no limit
+ */
+export const getTakebacksLeft = (state, team) => {
+  const limit = state.rules.takebacks;
+  if (limit === null) return Infinity;
+  return Math.max(0, limit - state.takebacks[`team${team}`]);
+};
+
+/**
+ * Position in the history of the last shot a team took
+ * @param {Array} history - Turn history
+ * @param {Number} team - Team number (1 or 2)
+ * @returns {Number} Index, or -1 if the team has not shot yet
+ */
+const findLastShot = (history, team) => {
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].currentTeam === team) return i;
+  }
+  return -1;
+};
+
+/**
+ * Check that a team may take back its last shot
+ *
+ * @param {Object} state - Current game state
+ * @param {Array} history - Turn history
+ * @param {Number} team - Team asking for the takeback
+ * @returns {String|null} Reason the takeback is refused, or null if it is allowed
+ */
+export const checkTakeback = (state, history, team) => {
+  if (state.rules.takebacks === 0) return 'Takebacks are off in this match';
+  if (state.isMoving) return 'Pieces are still moving';
+  if (findLastShot(history, team) === -1) return 'No shot to take back';
+  if (getTakebacksLeft(state, team) === 0) return 'No takebacks left';
+  return null;
+};
+
+/**
+ * Take back a team's last shot
+ *
+ * The match clock keeps running and the takeback is counted against the
+ * team; everything else is as it was before the shot.
+ *
+ * @param {Object} state - Current game state
+ * @param {Array} history - Turn history
+ * @param {Number} team - Team taking back its shot
+ * @returns {Object} { state, history } - restored state and the history
+ *   below it
+ * @throws {Error} If the takeback is not allowed
+ */
+export const takeBack = (state, history, team) => {
+  const reason = checkTakeback(state, history, team);
+  if (reason) throw new Error(`Invalid takeback: ${reason}`);
+
+  const index = findLastShot(history, team);
+  const key = `team${team}`;
+
+  return {
+    state: {
+      ...history[index],
+      selectedPlayerId: null,
+      elapsedMs: state.elapsedMs,
+      takebacks: { ...state.takebacks, [key]: state.takebacks[key] + 1 }
+    },
+    history: history.slice(0, index)
+  };
+};
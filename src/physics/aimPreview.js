@@ -0,0 +1,126 @@
+import {
+  AIM_ASSIST,
+  AIM_PREVIEW_MAX_STEPS,
+  AIM_PREVIEW_SAMPLE_INTERVAL
+} from '../constants.js';
+import { applyShot, step } from './engine.js';
+
+// Aim assist: runs a shot forward with the circle solver so the aim line can
+// show where the struck piece goes and what it hits, like the guide lines of
+// a pool game. The circle solver is what online matches use, so there the
+// preview is exact; with the matter-js backend it is a close approximation.
+
+/**
+ * Unit vector of a velocity, or null if the piece is not moving
+ * @param {Object} vel - Velocity {x, y}
+ * @returns {Object|null} Direction {x, y}
+ */
+const directionOf = (vel) => {
+  const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
+  return speed > 1e-9 ? { x: vel.x / speed, y: vel.y / speed } : null;
+};
+
+/**
+ * Contact between the struck piece and another piece
+ *
+ * The step carries on after the impact, so the positions at impact are
+ * rebuilt: the hit piece was at rest until then, and the striker touched it
+ * at the contact point.
+ *
+ * @param {Object} before - Game state before the shot
+ * @param {Object} after - Game state after the step with the impact
+ * @param {String} strikerId - Id of the struck piece
+ * @param {Object} hit - `collision` event
+ * @returns {Object} { pos, point, targetId, origin, direction }
+ */
+const describePieceContact = (before, after, strikerId, hit) => {
+  const targetId = hit.a === strikerId ? hit.b : hit.a;
+  const striker = before.balls.find(b => b.id === strikerId);
+  const target = before.balls.find(b => b.id === targetId);
+  const point = { ...hit.pos };
+
+  // The striker's centre sits one radius back from the contact point, on the
+  // line through the target's centre
+  const dx = target.pos.x - point.x;
+  const dy = target.pos.y - point.y;
+  const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+  const radius = striker.size / 2;
+
+  return {
+    pos: { x: point.x - dx / distance * radius, y: point.y - dy / distance * radius },
+    point,
+    targetId,
+    origin: { ...target.pos },
+    direction: directionOf(after.balls.find(b => b.id === targetId).vel)
+  };
+};
+
+/**
+ * Simulate a shot to preview it
+ *
+ * With FIRST_CONTACT the simulation stops when the struck piece first hits a
+ * piece or a wall. `contact` then gives the striker's position at impact, the
+ * contact point, and where and in which direction the hit piece (or, off a
+ * wall, the striker) moves away. With FULL_PATH the shot runs until the
+ * pieces stop and `ballPath` traces the ball as well.
+ *
+ * @param {Object} state - Game state with the pieces at rest
+ * @param {Object} shot - { pieceId, direction: {x, y}, power, spin }
+ * @param {String} depth - One of AIM_ASSIST
+ * @param {Object} options - { maxSteps }
+ * @returns {Object|null} { path, contact, ballPath, goal }, or null for
+ *   AIM_ASSIST.NONE. `contact` is { pos, point, targetId, origin, direction }
+ *   or null; `goal` is the goal event if the preview scores.
+ */
+export const predictShot = (state, shot, depth, { maxSteps = AIM_PREVIEW_MAX_STEPS } = {}) => {
+  if (depth === AIM_ASSIST.NONE) return null;
+
+  const fullPath = depth === AIM_ASSIST.FULL_PATH;
+  let current = applyShot({ ...state, isMoving: true }, shot);
+  const striker = () => current.balls.find(b => b.id === shot.pieceId);
+  const ball = () => current.balls.find(b => b.id === 'ball');
+
+  const path = [{ ...striker().pos }];
+  const ballPath = fullPath && ball() ? [{ ...ball().pos }] : null;
+  let contact = null;
+  let goal = null;
+
+  for (let tick = 1; tick <= maxSteps; tick++) {
+    const result = step(current, 1);
+    current = result.state;
+
+    const settled = result.events.some(e => e.type === 'settled');
+    goal = goal || result.events.find(e => e.type === 'goal') || null;
+
+    if (!contact) {
+      const hit = result.events.find(e => (
+        (e.type === 'collision' && (e.a === shot.pieceId || e.b === shot.pieceId)) ||
+        (e.type === 'wallBounce' && e.id === shot.pieceId)
+      ));
+
+      if (hit) {
+        contact = hit.type === 'collision'
+          ? describePieceContact(state, current, shot.pieceId, hit)
+          : {
+            pos: { ...striker().pos },
+            point: { ...striker().pos },
+            targetId: null,
+            origin: { ...striker().pos },
+            direction: directionOf(striker().vel)
+          };
+        path.push({ ...contact.pos });
+
+        if (!fullPath) break;
+      }
+    }
+
+    if (tick % AIM_PREVIEW_SAMPLE_INTERVAL === 0 || settled) {
+      path.push({ ...striker().pos });
+      if (ballPath) ballPath.push({ ...ball().pos });
+    }
+
+    if (settled) break;
+  }
+
+  return { path, contact, ballPath, goal };
+};
@@ -0,0 +1,36 @@
+import { PHYSICS_BACKENDS, DEFAULT_PHYSICS_BACKEND } from '../constants.js';
+import { createCircleBackend } from './circleBackend.js';
+import { createMatterBackend } from './matterBackend.js';
+
+// Physics backends
+//
+// A backend advances the game state one fixed step at a time and has the
+// same contract as engine.step:
+//
+//   id             - one of PHYSICS_BACKENDS
+//   deterministic  - true if the same input always gives the same output
+//   step(state, dt) -> { state, events }
+//   reset()        - forget any world kept between steps (new match, kickoff)
+//   destroy()      - release the world for good
+//
+// Shots, goals, turns and scoring stay in src/game and do not depend on the
+// backend. The server imports engine.js directly and never loads this file.
+
+const backendFactories = {
+  [PHYSICS_BACKENDS.CIRCLE]: createCircleBackend,
+  [PHYSICS_BACKENDS.MATTER]: createMatterBackend
+};
+
+/**
+ * Create the physics backend for a match
+ * @param {String} id - Backend id from PHYSICS_BACKENDS
+ * @returns {Object} Physics backend
+ */
+export const createPhysicsBackend = (id = DEFAULT_PHYSICS_BACKEND) => {
+  const factory = backendFactories[id];
+  if (!factory) {
+    console.warn(`Unknown physics backend "${id}", using ${DEFAULT_PHYSICS_BACKEND}`);
+    return backendFactories[DEFAULT_PHYSICS_BACKEND]();
+  }
+  return factory();
+};
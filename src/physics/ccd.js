@@ -0,0 +1,134 @@
+// Swept-circle time-of-impact helpers for continuous collision detection.
+// All times are in steps, relative to the start of the current sub-step, and
+// velocities are in field units per step.
+
+const EPSILON = 1e-9;
+
+/**
+ * Time at which two moving circles first touch
+ *
+ * @param {Object} p1 - Position of the first circle {x, y}
+ * @param {Object} v1 - Velocity of the first circle {x, y}
+ * @param {Object} p2 - Position of the second circle {x, y}
+ * @param {Object} v2 - Velocity of the second circle {x, y}
+ * @param {Number} radius - Sum of both radii
+ * @returns {Number|null} Time of impact, or null if they do not meet
+ */
+export const circleCircleTOI = (p1, v1, p2, v2, radius) => {
+  const dx = p2.x - p1.x;
+  const dy = p2.y - p1.y;
+  const wx = v2.x - v1.x;
+  const wy = v2.y - v1.y;
+
+  const a = wx * wx + wy * wy;
+  const b = 2 * (dx * wx + dy * wy);
+  const c = dx * dx + dy * dy - radius * radius;
+
+  // Already touching: only a hit if they are still closing in
+  if (c <= 0) return b < 0 ? 0 : null;
+  if (a < EPSILON) return null;
+
+  const discriminant = b * b - 4 * a * c;
+  if (discriminant < 0) return null;
+
+  const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+  return t >= 0 ? t : null;
+};
+
+/**
+ * Time at which a moving circle first touches a static segment
+ *
+ * @param {Object} pos - Circle centre {x, y}
+ * @param {Object} vel - Circle velocity {x, y}
+ * @param {Number} radius - Circle radius
+ * @param {Object} segment - { a: {x, y}, b: {x, y} }
+ * @returns {Object|null} { t, normal } - Time of impact and the contact
+ *   normal pointing from the segment towards the circle
+ */
+export const circleSegmentTOI = (pos, vel, radius, segment) => {
+  const { a, b } = segment;
+  const ex = b.x - a.x;
+  const ey = b.y - a.y;
+  const length = Math.sqrt(ex * ex + ey * ey);
+  if (length < EPSILON) return circlePointTOI(pos, vel, radius, a);
+
+  const ux = ex / length;
+  const uy = ey / length;
+
+  // Normal on the side of the segment the circle is on
+  let nx = -uy;
+  let ny = ux;
+  let distance = (pos.x - a.x) * nx + (pos.y - a.y) * ny;
+  if (distance < 0) {
+    nx = -nx;
+    ny = -ny;
+    distance = -distance;
+  }
+
+  const approachSpeed = vel.x * nx + vel.y * ny;
+  let best = null;
+
+  if (approachSpeed < 0) {
+    const t = distance <= radius ? 0 : (distance - radius) / -approachSpeed;
+    const along = (pos.x + vel.x * t - a.x) * ux + (pos.y + vel.y * t - a.y) * uy;
+
+    if (along >= 0 && along <= length) {
+      best = { t, normal: { x: nx, y: ny } };
+    }
+  }
+
+  // The circle may still catch one of the end points
+  for (const point of [a, b]) {
+    const hit = circlePointTOI(pos, vel, radius, point);
+    if (hit && (!best || hit.t < best.t)) best = hit;
+  }
+
+  return best;
+};
+
+/**
+ * Time at which a moving circle first touches a static point
+ *
+ * @param {Object} pos - Circle centre {x, y}
+ * @param {Object} vel - Circle velocity {x, y}
+ * @param {Number} radius - Circle radius
+ * @param {Object} point - Point {x, y}
+ * @returns {Object|null} { t, normal }
+ */
+export const circlePointTOI = (pos, vel, radius, point) => {
+  const t = circleCircleTOI(point, { x: 0, y: 0 }, pos, vel, radius);
+  if (t === null) return null;
+
+  const cx = pos.x + vel.x * t - point.x;
+  const cy = pos.y + vel.y * t - point.y;
+  const distance = Math.sqrt(cx * cx + cy * cy);
+  if (distance < EPSILON) return null;
+
+  return { t, normal: { x: cx / distance, y: cy / distance } };
+};
+
+/**
+ * Fraction along a movement at which a point crosses a line segment
+ *
+ * @param {Object} from - Start position {x, y}
+ * @param {Object} to - End position {x, y}
+ * @param {Object} segment - { a: {x, y}, b: {x, y} }
+ * @returns {Number|null} Fraction between 0 and 1, or null if not crossed
+ */
+export const segmentCrossing = (from, to, segment) => {
+  const { a, b } = segment;
+  const rx = to.x - from.x;
+  const ry = to.y - from.y;
+  const sx = b.x - a.x;
+  const sy = b.y - a.y;
+
+  const denominator = rx * sy - ry * sx;
+  if (Math.abs(denominator) < EPSILON) return null;
+
+  const qx = a.x - from.x;
+  const qy = a.y - from.y;
+  const t = (qx * sy - qy * sx) / denominator;
+  const u = (qx * ry - qy * rx) / denominator;
+
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+};
@@ -0,0 +1,18 @@
+import { PHYSICS_BACKENDS } from '../constants.js';
+import { step } from './engine.js';
+
+// The hand-rolled circle solver from engine.js behind the backend interface.
+// It keeps no state between steps, so it is deterministic and safe to run
+// on the server.
+
+/**
+ * Create the circle solver backend
+ * @returns {Object} Physics backend (see backend.js)
+ */
+export const createCircleBackend = () => ({
+  id: PHYSICS_BACKENDS.CIRCLE,
+  deterministic: true,
+  step,
+  reset() {},
+  destroy() {}
+});
@@ -0,0 +1,475 @@
+import {
+  DAMPING_FACTOR,
+  BALL_COLLISION_BOUNCE_FACTOR,
+  MIN_VELOCITY_THRESHOLD,
+  SPIN_DAMPING,
+  SPIN_CURVE_FACTOR,
+  SPIN_CONTACT_FRICTION,
+  MIN_SPIN_THRESHOLD
+} from '../constants.js';
+import {
+  circleCircleTOI,
+  circleSegmentTOI,
+  circlePointTOI,
+  segmentCrossing
+} from './ccd.js';
+import { getColliders, wallBlocks, isInGoalArea } from './geometry.js';
+
+// Framework-free simulation of the pieces on the field.
+// Everything in here is a pure function of its inputs so the exact same code
+// can run in the browser, on the Node server and inside tests.
+//
+// NOTE: imports in src/physics and src/game use explicit `.js` extensions so
+// the server can load them as native ES modules.
+
+/**
+ * Deep copy of the pieces so a step never mutates its input
+ * @param {Array} balls - Pieces to copy
+ * @returns {Array} Copied pieces
+ */
+export const clonePieces = (balls) => balls.map(ball => ({
+  ...ball,
+  pos: { ...ball.pos },
+  vel: { ...ball.vel }
+}));
+
+const MAX_CONTACTS_PER_STEP = 32;
+const OVERLAP_SLOP = 0.01;
+
+/**
+ * Material properties of a piece, falling back to the global defaults
+ * @param {Object} piece - Piece
+ * @returns {Object} { mass, friction, restitution }
+ */
+export const getMaterial = (piece) => ({
+  mass: piece.mass ?? 1,
+  friction: piece.friction ?? DAMPING_FACTOR,
+  restitution: piece.restitution ?? BALL_COLLISION_BOUNCE_FACTOR
+});
+
+/**
+ * Friction between two surfaces at a contact. Reducing the slip at the
+ * contact point trades spin for sideways motion and back, which is how a
+ * spinning striker puts English on the ball.
+ *
+ * @param {Object} ball1 - Piece on the near side of the contact (mutated)
+ * @param {Object|null} ball2 - Piece on the far side, or null for a static collider (mutated)
+ * @param {Number} nx - Contact normal x, from ball1 towards ball2
+ * @param {Number} ny - Contact normal y, from ball1 towards ball2
+ * @param {Number} normalImpulse - Size of the normal impulse at this contact
+ */
+export const applyContactFriction = (ball1, ball2, nx, ny, normalImpulse) => {
+  const tx = -ny;
+  const ty = nx;
+
+  const mass1 = getMaterial(ball1).mass;
+  const radius1 = ball1.size / 2;
+  const inertia1 = 0.5 * mass1 * radius1 * radius1;
+
+  // Tangential speed of ball2's surface relative to ball1's surface
+  let slip = -(ball1.vel.x * tx + ball1.vel.y * ty + (ball1.spin || 0) * radius1);
+  let inverseSum = 1 / mass1 + radius1 * radius1 / inertia1;
+
+  let mass2 = 0;
+  let radius2 = 0;
+  let inertia2 = 0;
+  if (ball2) {
+    mass2 = getMaterial(ball2).mass;
+    radius2 = ball2.size / 2;
+    inertia2 = 0.5 * mass2 * radius2 * radius2;
+    slip += ball2.vel.x * tx + ball2.vel.y * ty - (ball2.spin || 0) * radius2;
+    inverseSum += 1 / mass2 + radius2 * radius2 / inertia2;
+  }
+
+  const limit = SPIN_CONTACT_FRICTION * normalImpulse;
+  const impulse = Math.max(-limit, Math.min(limit, -slip / inverseSum));
+
+  ball1.vel.x -= impulse / mass1 * tx;
+  ball1.vel.y -= impulse / mass1 * ty;
+  ball1.spin = (ball1.spin || 0) - radius1 * impulse / inertia1;
+
+  if (ball2) {
+    ball2.vel.x += impulse / mass2 * tx;
+    ball2.vel.y += impulse / mass2 * ty;
+    ball2.spin = (ball2.spin || 0) - radius2 * impulse / inertia2;
+  }
+};
+
+/**
+ * Bounce two touching pieces off each other with a mass-weighted impulse
+ * @param {Object} ball1 - First piece (mutated)
+ * @param {Object} ball2 - Second piece (mutated)
+ * @param {Array} events - Event list (mutated)
+ */
+const resolvePieceContact = (ball1, ball2, events) => {
+  const material1 = getMaterial(ball1);
+  const material2 = getMaterial(ball2);
+  const radius1 = ball1.size / 2;
+
+  const dx = ball2.pos.x - ball1.pos.x;
+  const dy = ball2.pos.y - ball1.pos.y;
+  const distance = Math.sqrt(dx * dx + dy * dy);
+  if (distance < 1e-9) return;
+
+  const nx = dx / distance;
+  const ny = dy / distance;
+
+  // Relative velocity along the contact normal
+  const relativeNormal =
+    (ball2.vel.x - ball1.vel.x) * nx + (ball2.vel.y - ball1.vel.y) * ny;
+  if (relativeNormal >= 0) return;
+
+  const restitution = Math.sqrt(material1.restitution * material2.restitution);
+  const inverseMass1 = 1 / material1.mass;
+  const inverseMass2 = 1 / material2.mass;
+  const impulse = -(1 + restitution) * relativeNormal / (inverseMass1 + inverseMass2);
+
+  ball1.vel.x -= impulse * inverseMass1 * nx;
+  ball1.vel.y -= impulse * inverseMass1 * ny;
+  ball2.vel.x += impulse * inverseMass2 * nx;
+  ball2.vel.y += impulse * inverseMass2 * ny;
+
+  applyContactFriction(ball1, ball2, nx, ny, impulse);
+
+  events.push({
+    type: 'collision',
+    a: ball1.id,
+    b: ball2.id,
+    pos: { x: ball1.pos.x + nx * radius1, y: ball1.pos.y + ny * radius1 },
+    speed: -relativeNormal
+  });
+};
+
+/**
+ * Bounce a piece off a wall, net or post
+ * @param {Object} ball - Piece (mutated)
+ * @param {Object} collider - Static collider with `name` and `bounce`
+ * @param {Object} normal - Contact normal pointing towards the piece
+ * @param {Array} events - Event list (mutated)
+ */
+const resolveStaticContact = (ball, collider, normal, events) => {
+  const vn = ball.vel.x * normal.x + ball.vel.y * normal.y;
+  if (vn >= 0) return;
+
+  const { mass, restitution } = getMaterial(ball);
+  const bounce = collider.bounce * restitution;
+  ball.vel.x -= (1 + bounce) * vn * normal.x;
+  ball.vel.y -= (1 + bounce) * vn * normal.y;
+
+  applyContactFriction(ball, null, -normal.x, -normal.y, -(1 + bounce) * vn * mass);
+
+  events.push({ type: 'wallBounce', id: ball.id, wall: collider.name });
+};
+
+/**
+ * Find the first contact that happens within the remaining time
+ * @param {Array} balls - Pieces
+ * @param {Object} colliders - { walls, posts }
+ * @param {Number} remaining - Time left in this step
+ * @returns {Object|null} Earliest contact
+ */
+const findEarliestContact = (balls, { walls, posts }, remaining) => {
+  let earliest = null;
+
+  for (let i = 0; i < balls.length; i++) {
+    const ball1 = balls[i];
+
+    for (let j = i + 1; j < balls.length; j++) {
+      const ball2 = balls[j];
+      const t = circleCircleTOI(
+        ball1.pos, ball1.vel,
+        ball2.pos, ball2.vel,
+        (ball1.size + ball2.size) / 2
+      );
+
+      if (t !== null && t <= remaining && (!earliest || t < earliest.t)) {
+        earliest = { t, ball1, ball2 };
+      }
+    }
+
+    for (const wall of walls) {
+      if (!wallBlocks(wall, ball1)) continue;
+
+      const hit = circleSegmentTOI(ball1.pos, ball1.vel, ball1.size / 2, wall);
+      if (hit && hit.t <= remaining && (!earliest || hit.t < earliest.t)) {
+        earliest = { t: hit.t, ball1, collider: wall, normal: hit.normal };
+      }
+    }
+
+    for (const post of posts) {
+      const hit = circlePointTOI(ball1.pos, ball1.vel, ball1.size / 2 + post.radius, post.pos);
+      if (hit && hit.t <= remaining && (!earliest || hit.t < earliest.t)) {
+        earliest = { t: hit.t, ball1, collider: post, normal: hit.normal };
+      }
+    }
+  }
+
+  return earliest;
+};
+
+/**
+ * Move every piece along its velocity, reporting goal line crossings
+ * @param {Array} balls - Pieces (mutated)
+ * @param {Number} t - Time to advance
+ * @param {Array} goalLines - Goal lines
+ * @returns {Object|null} Goal that the ball crossed into
+ */
+const advancePieces = (balls, t, goalLines) => {
+  let scoredGoal = null;
+
+  for (const ball of balls) {
+    const from = ball.pos;
+    const to = { x: from.x + ball.vel.x * t, y: from.y + ball.vel.y * t };
+
+    scoredGoal = crossGoalLines(ball, from, to, goalLines) || scoredGoal;
+    ball.pos = to;
+  }
+
+  return scoredGoal;
+};
+
+/**
+ * Check whether the ball crossed a goal line while moving between two points,
+ * and if so mark it as being in that goal
+ * @param {Object} ball - Piece that moved (mutated)
+ * @param {Object} from - Position before the move
+ * @param {Object} to - Position after the move
+ * @param {Array} goalLines - Goal lines from getColliders
+ * @returns {Object|null} The goal that was scored, or null
+ */
+export const crossGoalLines = (ball, from, to, goalLines) => {
+  if (ball.id !== 'ball' || ball.inGoal) return null;
+
+  for (const line of goalLines) {
+    // Only crossing from the field into the goal counts
+    const outwardMove = (to.x - from.x) * line.outward.x + (to.y - from.y) * line.outward.y;
+    if (outwardMove > 0 && segmentCrossing(from, to, line) !== null) {
+      ball.inGoal = line.goal.side;
+      return line.goal;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Report player pieces whose centre moved into a goal area during a step
+ * @param {Array} before - Pieces at the start of the step
+ * @param {Array} after - Pieces at the end of the step
+ * @param {Array} goalAreas - Goal areas from getColliders
+ * @returns {Array} `areaEntered` events
+ */
+export const findGoalAreaEntries = (before, after, goalAreas) => {
+  const events = [];
+
+  for (const piece of after) {
+    if (!piece.isPlayer) continue;
+
+    const previous = before.find(b => b.id === piece.id);
+    for (const area of goalAreas) {
+      if (isInGoalArea(area, piece.pos) && !(previous && isInGoalArea(area, previous.pos))) {
+        events.push({ type: 'areaEntered', id: piece.id, side: area.goal.side });
+      }
+    }
+  }
+
+  return events;
+};
+
+/**
+ * Push apart pieces that ended up overlapping through rounding errors
+ * @param {Array} balls - Pieces (mutated)
+ */
+const separateOverlaps = (balls) => {
+  for (let i = 0; i < balls.length; i++) {
+    for (let j = i + 1; j < balls.length; j++) {
+      const ball1 = balls[i];
+      const ball2 = balls[j];
+      const dx = ball2.pos.x - ball1.pos.x;
+      const dy = ball2.pos.y - ball1.pos.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      const overlap = (ball1.size + ball2.size) / 2 - distance;
+
+      if (overlap <= OVERLAP_SLOP || distance < 1e-9) continue;
+
+      const nx = dx / distance;
+      const ny = dy / distance;
+      ball1.pos.x -= nx * overlap * 0.5;
+      ball1.pos.y -= ny * overlap * 0.5;
+      ball2.pos.x += nx * overlap * 0.5;
+      ball2.pos.y += ny * overlap * 0.5;
+    }
+  }
+};
+
+/**
+ * Turn the velocity of spinning pieces, so their paths curve
+ * @param {Array} balls - Pieces (mutated)
+ * @param {Number} dt - Time step in frames
+ */
+export const curveSpinningPieces = (balls, dt) => {
+  for (const ball of balls) {
+    if (!ball.spin) continue;
+
+    const angle = SPIN_CURVE_FACTOR * ball.spin * dt;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const { x, y } = ball.vel;
+    ball.vel = { x: x * cos - y * sin, y: x * sin + y * cos };
+  }
+};
+
+/**
+ * End-of-step bookkeeping: keep players on the field, apply rolling friction
+ * and spin decay, and bring slow pieces to a stop
+ * @param {Array} balls - Pieces (mutated)
+ * @param {Object} field - Field description
+ * @param {Number} dt - Time step in frames
+ * @returns {Boolean} True if any piece is still moving
+ */
+export const settlePieces = (balls, field, dt) => {
+  let isStillMoving = false;
+
+  for (const ball of balls) {
+    const radius = ball.size / 2;
+
+    // Player pieces never leave the field
+    if (ball.isPlayer) {
+      ball.pos.x = Math.max(radius, Math.min(field.width - radius, ball.pos.x));
+      ball.pos.y = Math.max(radius, Math.min(field.height - radius, ball.pos.y));
+    }
+
+    // Rolling friction
+    const damping = Math.pow(getMaterial(ball).friction, dt);
+    ball.vel.x *= damping;
+    ball.vel.y *= damping;
+
+    if (ball.spin) {
+      ball.spin *= Math.pow(SPIN_DAMPING, dt);
+      if (Math.abs(ball.spin) < MIN_SPIN_THRESHOLD) ball.spin = 0;
+    }
+
+    if (
+      Math.abs(ball.vel.x) > MIN_VELOCITY_THRESHOLD ||
+      Math.abs(ball.vel.y) > MIN_VELOCITY_THRESHOLD
+    ) {
+      isStillMoving = true;
+    } else {
+      ball.vel.x = 0;
+      ball.vel.y = 0;
+      ball.spin = 0;
+    }
+  }
+
+  return isStillMoving;
+};
+
+/**
+ * Advance the simulation
+ *
+ * Contacts are found by their time of impact within the step, so fast pieces
+ * cannot pass through each other, the walls, the posts or the goal line.
+ * After a goal the ball carries on into the goal box and settles there.
+ *
+ * Emits these events:
+ * - `collision` { a, b, pos, speed } when two pieces hit each other
+ * - `wallBounce` { id, wall } when a piece bounces off a wall, net or post
+ * - `goal` { team, side } when the ball crosses a goal line between the posts
+ * - `areaEntered` { id, side } when a player piece moves into a goal area
+ * - `settled` when every piece has come to rest
+ *
+ * @param {Object} state - Game state with `balls` and `field`
+ * @param {Number} dt - Time step in frames (1 = one 60 Hz frame)
+ * @returns {Object} { state, events } - New state and the events of this step
+ */
+export const step = (state, dt = 1) => {
+  const { field } = state;
+  const colliders = getColliders(field);
+  const balls = clonePieces(state.balls);
+  const events = [];
+  let scoredGoal = null;
+
+  curveSpinningPieces(balls, dt);
+
+  // Move to each contact in turn, resolve it, and carry on with the rest
+  // of the step
+  let remaining = dt;
+  for (let contacts = 0; remaining > 0; contacts++) {
+    const contact = contacts < MAX_CONTACTS_PER_STEP
+      ? findEarliestContact(balls, colliders, remaining)
+      : null;
+    const t = contact ? contact.t : remaining;
+
+    scoredGoal = advancePieces(balls, t, colliders.goalLines) || scoredGoal;
+    remaining -= t;
+
+    if (!contact) break;
+
+    if (contact.collider) {
+      resolveStaticContact(contact.ball1, contact.collider, contact.normal, events);
+    } else {
+      resolvePieceContact(contact.ball1, contact.ball2, events);
+    }
+  }
+
+  separateOverlaps(balls);
+
+  const isStillMoving = settlePieces(balls, field, dt);
+
+  events.push(...findGoalAreaEntries(state.balls, balls, colliders.goalAreas));
+
+  if (scoredGoal) {
+    events.push({ type: 'goal', team: scoredGoal.scoringTeam, side: scoredGoal.side });
+  }
+
+  if (!isStillMoving) {
+    events.push({ type: 'settled' });
+  }
+
+  return {
+    state: { ...state, balls, isMoving: isStillMoving },
+    events
+  };
+};
+
+/**
+ * Give a piece its launch velocity and spin
+ *
+ * @param {Object} state - Game state
+ * @param {Object} shot - { pieceId, direction: {x, y}, power, spin }
+ * @returns {Object} New game state with the piece moving
+ */
+export const applyShot = (state, { pieceId, direction, power, spin = 0 }) => ({
+  ...state,
+  balls: state.balls.map(ball => (
+    ball.id === pieceId
+      ? { ...ball, vel: { x: direction.x * power, y: direction.y * power }, spin }
+      : ball
+  )),
+  isMoving: true
+});
+
+/**
+ * Run the simulation until the pieces settle
+ *
+ * @param {Object} state - Game state with at least one moving piece
+ * @param {Object} options - { maxSteps, onStep }
+ * @returns {Object} { state, events, steps }
+ */
+export const simulateToRest = (state, { maxSteps = 60 * 60, onStep } = {}) => {
+  let current = state;
+  const events = [];
+  let steps = 0;
+
+  while (steps < maxSteps) {
+    const result = step(current, 1);
+    current = result.state;
+    steps++;
+    events.push(...result.events);
+    if (onStep) onStep(current, result.events, steps);
+
+    if (result.events.some(e => e.type === 'settled')) break;
+  }
+
+  return { state: current, events, steps };
+};
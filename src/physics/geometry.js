@@ -0,0 +1,154 @@
+import { WALL_BOUNCE_FACTOR, NET_BOUNCE_FACTOR } from '../constants.js';
+
+// Static collision geometry derived from a field description
+
+const collidersCache = new WeakMap();
+
+/**
+ * Corners of a (possibly rotated) rectangular obstacle, in order
+ * @param {Object} obstacle - { pos, width, height, angle }
+ * @returns {Array} Four corner points
+ */
+export const getRectCorners = ({ pos, width, height, angle = 0 }) => {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return [
+    [-width / 2, -height / 2],
+    [width / 2, -height / 2],
+    [width / 2, height / 2],
+    [-width / 2, height / 2]
+  ].map(([x, y]) => ({
+    x: pos.x + x * cos - y * sin,
+    y: pos.y + x * sin + y * cos
+  }));
+};
+
+/**
+ * Build wall segments, posts, goal lines and goal areas for a field
+ *
+ * The arena's own wall segments and obstacles are added as well: circular
+ * obstacles collide like posts, rectangles become four wall segments that
+ * keep a reference to their obstacle.
+ *
+ * Wall segments carry a `blocks` filter: 'all' pieces, or only 'players'
+ * (used for the goal mouths, which the ball may pass through once - after
+ * that its `inGoal` flag keeps it in the net). Every static collider has its
+ * own `bounce` factor so the nets can absorb the ball.
+ *
+ * Goal areas are not colliders; they are boxes in front of each goal that
+ * the simulation reports pieces entering.
+ *
+ * @param {Object} field - Field description from loadArena
+ * @returns {Object} { walls, posts, goalLines, goalAreas }
+ */
+const buildColliders = (field) => {
+  const { width, height } = field;
+  const walls = [];
+  const posts = [];
+  const goalLines = [];
+  const goalAreas = [];
+
+  for (const goal of field.goals) {
+    const y = goal.side === 'top' ? 0 : height;
+    const outward = goal.side === 'top' ? -1 : 1;
+    const backY = y + outward * goal.depth;
+    const left = goal.x - goal.width / 2;
+    const right = goal.x + goal.width / 2;
+    const net = `${goal.side}Net`;
+
+    walls.push(
+      // Goal line wall on either side of the mouth
+      { name: goal.side, blocks: 'all', bounce: WALL_BOUNCE_FACTOR, a: { x: 0, y }, b: { x: left, y } },
+      { name: goal.side, blocks: 'all', bounce: WALL_BOUNCE_FACTOR, a: { x: right, y }, b: { x: width, y } },
+      // Player pieces may not enter the goal, and a scored ball stays in
+      { name: goal.side, blocks: 'players', goalSide: goal.side, bounce: WALL_BOUNCE_FACTOR, a: { x: left, y }, b: { x: right, y } },
+      // Goal box
+      { name: net, blocks: 'all', bounce: NET_BOUNCE_FACTOR, a: { x: left, y }, b: { x: left, y: backY } },
+      { name: net, blocks: 'all', bounce: NET_BOUNCE_FACTOR, a: { x: right, y }, b: { x: right, y: backY } },
+      { name: net, blocks: 'all', bounce: NET_BOUNCE_FACTOR, a: { x: left, y: backY }, b: { x: right, y: backY } }
+    );
+
+    posts.push(
+      { name: `${goal.side}Post`, bounce: WALL_BOUNCE_FACTOR, pos: { x: left, y }, radius: goal.postRadius },
+      { name: `${goal.side}Post`, bounce: WALL_BOUNCE_FACTOR, pos: { x: right, y }, radius: goal.postRadius }
+    );
+
+    goalLines.push({ goal, a: { x: left, y }, b: { x: right, y }, outward: { x: 0, y: outward } });
+
+    const areaY = y - outward * goal.areaDepth;
+    goalAreas.push({
+      goal,
+      minX: Math.max(0, goal.x - goal.areaWidth / 2),
+      maxX: Math.min(width, goal.x + goal.areaWidth / 2),
+      minY: Math.min(y, areaY),
+      maxY: Math.max(y, areaY)
+    });
+  }
+
+  walls.push(
+    { name: 'left', blocks: 'all', bounce: WALL_BOUNCE_FACTOR, a: { x: 0, y: 0 }, b: { x: 0, y: height } },
+    { name: 'right', blocks: 'all', bounce: WALL_BOUNCE_FACTOR, a: { x: width, y: 0 }, b: { x: width, y: height } }
+  );
+
+  for (const wall of field.walls || []) {
+    walls.push({ name: 'wall', blocks: 'all', bounce: WALL_BOUNCE_FACTOR, a: wall.a, b: wall.b });
+  }
+
+  for (const obstacle of field.obstacles || []) {
+    if (obstacle.type === 'circle') {
+      posts.push({ name: 'obstacle', bounce: WALL_BOUNCE_FACTOR, pos: obstacle.pos, radius: obstacle.radius });
+      continue;
+    }
+
+    const corners = getRectCorners(obstacle);
+    corners.forEach((corner, i) => {
+      walls.push({
+        name: 'obstacle',
+        blocks: 'all',
+        bounce: WALL_BOUNCE_FACTOR,
+        obstacle,
+        a: corner,
+        b: corners[(i + 1) % corners.length]
+      });
+    });
+  }
+
+  return { walls, posts, goalLines, goalAreas };
+};
+
+/**
+ * Collision geometry for a field, cached per field object
+ *
+ * @param {Object} field - Field description
+ * @returns {Object} { walls, posts, goalLines, goalAreas }
+ */
+export const getColliders = (field) => {
+  let colliders = collidersCache.get(field);
+  if (!colliders) {
+    colliders = buildColliders(field);
+    collidersCache.set(field, colliders);
+  }
+  return colliders;
+};
+
+/**
+ * Whether a wall segment stops the given piece
+ * @param {Object} wall - Wall segment
+ * @param {Object} piece - Piece
+ * @returns {Boolean} True if the piece collides with the wall
+ */
+export const wallBlocks = (wall, piece) => (
+  wall.blocks === 'all' ||
+  (wall.blocks === 'players' && (piece.isPlayer || piece.inGoal === wall.goalSide))
+);
+
+/**
+ * Whether a point lies inside a goal area
+ * @param {Object} area - Goal area from getColliders
+ * @param {Object} pos - Point {x, y}
+ * @returns {Boolean} True if the point is inside the area
+ */
+export const isInGoalArea = (area, pos) => (
+  pos.x >= area.minX && pos.x <= area.maxX &&
+  pos.y >= area.minY && pos.y <= area.maxY
+);
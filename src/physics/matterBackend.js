@@ -0,0 +1,389 @@
+import Matter from 'matter-js';
+import { FIXED_TIMESTEP_MS, PHYSICS_BACKENDS } from '../constants.js';
+import {
+  applyContactFriction,
+  clonePieces,
+  getMaterial,
+  curveSpinningPieces,
+  crossGoalLines,
+  settlePieces,
+  findGoalAreaEntries
+} from './engine.js';
+import { getColliders } from './geometry.js';
+
+const { Engine, Bodies, Body, Composite, Events } = Matter;
+
+// matter-js backend.
+// The field is rebuilt from the same colliders as the circle solver, so both
+// backends play on identical geometry; new kinds of obstacle (polygons,
+// rotated walls, joints) only need a body here. Spin, rolling friction,
+// settling and goal detection reuse the engine helpers so the game rules see
+// the same events either way.
+//
+// Bodies are frictionless and never rotate in matter-js; a piece's spin is
+// kept on the piece instead. After each step the contacts matter-js resolved
+// get the circle solver's contact friction, so spin curls shots and puts
+// English on the ball under both backends.
+//
+// matter-js is not deterministic across machines, so this backend is for
+// local matches only.
+
+const WALL_THICKNESS = 40;
+const ARENA_WALL_THICKNESS = 6; // Free-standing arena walls have two faces
+
+// Collision categories. A goal mouth stops players from the field side, and
+// stops the ball from the goal side once it has gone in.
+const CATEGORY_PLAYER = 0x0001;
+const CATEGORY_BALL = 0x0002;
+const CATEGORY_WALL = 0x0004;
+const CATEGORY_MOUTH = 0x0008;
+const CATEGORY_BALL_IN_GOAL = 0x0100; // Shifted left by the goal index
+
+/**
+ * Static rectangle along a wall segment, pushed away from the play area so
+ * fast pieces hit a thick wall rather than a thin line
+ * @param {Object} segment - { a, b } end points
+ * @param {Object|null} inside - Point on the side the pieces play on, or null
+ *   to centre the body on the segment
+ * @param {Object} options - Body options
+ * @param {Number} thickness - Thickness of the body
+ * @returns {Object} matter-js body
+ */
+const createSegmentBody = (segment, inside, options, thickness = WALL_THICKNESS) => {
+  const { a, b } = segment;
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const length = Math.sqrt(dx * dx + dy * dy);
+  const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+
+  let nx = -dy / length;
+  let ny = dx / length;
+  if (inside && (inside.x - mid.x) * nx + (inside.y - mid.y) * ny > 0) {
+    nx = -nx;
+    ny = -ny;
+  }
+  const offset = inside ? thickness / 2 : 0;
+
+  return Bodies.rectangle(
+    mid.x + nx * offset,
+    mid.y + ny * offset,
+    length,
+    thickness,
+    { ...options, isStatic: true, angle: Math.atan2(dy, dx) }
+  );
+};
+
+/**
+ * Build the static bodies for a field
+ * @param {Object} field - Field description
+ * @returns {Array} [{ body, collider }] pairs
+ */
+const buildFieldBodies = (field) => {
+  const { walls, posts } = getColliders(field);
+  const fieldCentre = { x: field.width / 2, y: field.height / 2 };
+  const staticOptions = { friction: 0, frictionStatic: 0 };
+  const bodies = [];
+
+  for (const wall of walls) {
+    // Rectangular obstacles get a single body below
+    if (wall.obstacle) continue;
+
+    if (wall.name === 'wall') {
+      bodies.push({
+        collider: wall,
+        body: createSegmentBody(wall, null, {
+          ...staticOptions,
+          collisionFilter: { category: CATEGORY_WALL }
+        }, ARENA_WALL_THICKNESS)
+      });
+      continue;
+    }
+
+    const goalIndex = field.goals.findIndex(goal => `${goal.side}Net` === wall.name);
+
+    if (wall.blocks === 'players') {
+      // Players are kept out by a wall behind the line, a scored ball is
+      // kept in by a wall in front of it
+      const mouthGoalIndex = field.goals.findIndex(goal => goal.side === wall.goalSide);
+      const goal = field.goals[mouthGoalIndex];
+      const outward = goal.side === 'top' ? -1 : 1;
+      const goalCentre = { x: goal.x, y: wall.a.y + outward * goal.depth / 2 };
+
+      bodies.push({
+        collider: wall,
+        body: createSegmentBody(wall, fieldCentre, {
+          ...staticOptions,
+          collisionFilter: { category: CATEGORY_MOUTH, mask: CATEGORY_PLAYER }
+        })
+      });
+      bodies.push({
+        collider: wall,
+        body: createSegmentBody(wall, goalCentre, {
+          ...staticOptions,
+          collisionFilter: { category: CATEGORY_MOUTH, mask: CATEGORY_BALL_IN_GOAL << mouthGoalIndex }
+        })
+      });
+      continue;
+    }
+
+    // Net walls face into their goal box, all other walls into the field
+    let inside = fieldCentre;
+    if (goalIndex !== -1) {
+      const goal = field.goals[goalIndex];
+      const outward = goal.side === 'top' ? -1 : 1;
+      const lineY = goal.side === 'top' ? 0 : field.height;
+      inside = { x: goal.x, y: lineY + outward * goal.depth / 2 };
+    }
+
+    bodies.push({
+      collider: wall,
+      body: createSegmentBody(wall, inside, {
+        ...staticOptions,
+        collisionFilter: { category: CATEGORY_WALL }
+      })
+    });
+  }
+
+  for (const obstacle of field.obstacles || []) {
+    if (obstacle.type !== 'rect') continue;
+
+    const collider = walls.find(wall => wall.obstacle === obstacle);
+    bodies.push({
+      collider,
+      body: Bodies.rectangle(obstacle.pos.x, obstacle.pos.y, obstacle.width, obstacle.height, {
+        ...staticOptions,
+        isStatic: true,
+        angle: obstacle.angle,
+        collisionFilter: { category: CATEGORY_WALL }
+      })
+    });
+  }
+
+  for (const post of posts) {
+    bodies.push({
+      collider: post,
+      body: Bodies.circle(post.pos.x, post.pos.y, post.radius, {
+        ...staticOptions,
+        isStatic: true,
+        collisionFilter: { category: CATEGORY_WALL }
+      })
+    });
+  }
+
+  return bodies;
+};
+
+/**
+ * Collision category of a piece
+ * @param {Object} piece - Piece
+ * @param {Object} field - Field description
+ * @returns {Number} Category bit
+ */
+const getPieceCategory = (piece, field) => {
+  if (piece.isPlayer) return CATEGORY_PLAYER;
+  if (piece.inGoal) {
+    const goalIndex = field.goals.findIndex(goal => goal.side === piece.inGoal);
+    if (goalIndex !== -1) return CATEGORY_BALL_IN_GOAL << goalIndex;
+  }
+  return CATEGORY_BALL;
+};
+
+/**
+ * Create the matter-js backend
+ *
+ * The backend keeps a matter-js world between steps. Pieces are looked up
+ * by id and their position and velocity are copied in from the game state
+ * before every step, so the state stays the source of truth and kickoffs,
+ * shots and restored positions need no special handling.
+ *
+ * @returns {Object} Physics backend (see backend.js)
+ */
+export const createMatterBackend = () => {
+  const engine = Engine.create({ gravity: { x: 0, y: 0, scale: 0 } });
+  const pieceBodies = new Map(); // piece id -> body
+  const bodyInfo = new Map(); // body id -> { piece } or { collider }
+  let currentField = null;
+  let stepEvents = [];
+  let stepContacts = []; // { piece1, piece2, nx, ny, impulse } for contact friction
+
+  const handleCollisionStart = ({ pairs }) => {
+    for (const pair of pairs) {
+      const infoA = bodyInfo.get(pair.bodyA.id);
+      const infoB = bodyInfo.get(pair.bodyB.id);
+      if (!infoA || !infoB) continue;
+
+      if (infoA.piece && infoB.piece) {
+        // Same bounce rule as the circle solver
+        const materialA = getMaterial(infoA.piece);
+        const materialB = getMaterial(infoB.piece);
+        pair.restitution = Math.sqrt(materialA.restitution * materialB.restitution);
+
+        const relativeX = pair.bodyA.velocity.x - pair.bodyB.velocity.x;
+        const relativeY = pair.bodyA.velocity.y - pair.bodyB.velocity.y;
+
+        // Normal impulse of the bounce, from A towards B
+        const dx = pair.bodyB.position.x - pair.bodyA.position.x;
+        const dy = pair.bodyB.position.y - pair.bodyA.position.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        const approach = length > 0 ? (relativeX * dx + relativeY * dy) / length : 0;
+        if (approach > 0) {
+          stepContacts.push({
+            piece1: infoA.piece,
+            piece2: infoB.piece,
+            nx: dx / length,
+            ny: dy / length,
+            impulse: (1 + pair.restitution) * approach /
+              (1 / materialA.mass + 1 / materialB.mass)
+          });
+        }
+        const support = pair.collision.supports[0] || pair.bodyA.position;
+        stepEvents.push({
+          type: 'collision',
+          a: infoA.piece.id,
+          b: infoB.piece.id,
+          pos: { x: support.x, y: support.y },
+          speed: Math.sqrt(relativeX * relativeX + relativeY * relativeY)
+        });
+      } else {
+        const piece = infoA.piece || infoB.piece;
+        const collider = infoA.collider || infoB.collider;
+        if (!piece) continue;
+
+        const { mass, restitution } = getMaterial(piece);
+        pair.restitution = collider.bounce * restitution;
+        stepEvents.push({ type: 'wallBounce', id: piece.id, wall: collider.name });
+
+        // Contact normal from the piece towards the collider
+        const pieceBody = infoA.piece ? pair.bodyA : pair.bodyB;
+        const colliderBody = infoA.piece ? pair.bodyB : pair.bodyA;
+        let { x: nx, y: ny } = pair.collision.normal;
+        if (nx * (colliderBody.position.x - pieceBody.position.x) +
+          ny * (colliderBody.position.y - pieceBody.position.y) < 0) {
+          nx = -nx;
+          ny = -ny;
+        }
+        const approach = pieceBody.velocity.x * nx + pieceBody.velocity.y * ny;
+        if (approach > 0) {
+          stepContacts.push({
+            piece1: piece,
+            piece2: null,
+            nx,
+            ny,
+            impulse: (1 + pair.restitution) * approach * mass
+          });
+        }
+      }
+    }
+  };
+
+  Events.on(engine, 'collisionStart', handleCollisionStart);
+
+  const clearWorld = () => {
+    Composite.clear(engine.world, false);
+    pieceBodies.clear();
+    bodyInfo.clear();
+    currentField = null;
+  };
+
+  const setField = (field) => {
+    clearWorld();
+    currentField = field;
+    for (const { body, collider } of buildFieldBodies(field)) {
+      bodyInfo.set(body.id, { collider });
+      Composite.add(engine.world, body);
+    }
+  };
+
+  const syncPieces = (balls) => {
+    const ids = new Set(balls.map(ball => ball.id));
+    for (const [id, body] of pieceBodies) {
+      if (!ids.has(id)) {
+        Composite.remove(engine.world, body);
+        pieceBodies.delete(id);
+        bodyInfo.delete(body.id);
+      }
+    }
+
+    for (const ball of balls) {
+      let body = pieceBodies.get(ball.id);
+      if (!body) {
+        const material = getMaterial(ball);
+        body = Bodies.circle(ball.pos.x, ball.pos.y, ball.size / 2, {
+          friction: 0,
+          frictionStatic: 0,
+          frictionAir: 0, // Rolling friction is applied by settlePieces
+          restitution: material.restitution
+        });
+        Body.setMass(body, material.mass);
+        Body.setInertia(body, Infinity);
+        pieceBodies.set(ball.id, body);
+        Composite.add(engine.world, body);
+      }
+
+      bodyInfo.set(body.id, { piece: ball });
+      body.collisionFilter.category = getPieceCategory(ball, currentField);
+      Body.setPosition(body, ball.pos);
+      Body.setVelocity(body, ball.vel);
+    }
+  };
+
+  return {
+    id: PHYSICS_BACKENDS.MATTER,
+    deterministic: false,
+
+    step(state, dt = 1) {
+      const { field } = state;
+      if (field !== currentField) setField(field);
+
+      const { goalLines, goalAreas } = getColliders(field);
+      const balls = clonePieces(state.balls);
+      let scoredGoal = null;
+      stepEvents = [];
+      stepContacts = [];
+
+      curveSpinningPieces(balls, dt);
+      syncPieces(balls);
+      Engine.update(engine, FIXED_TIMESTEP_MS * dt);
+
+      for (const ball of balls) {
+        const body = pieceBodies.get(ball.id);
+        const to = { x: body.position.x, y: body.position.y };
+        scoredGoal = crossGoalLines(ball, ball.pos, to, goalLines) || scoredGoal;
+        ball.pos = to;
+        ball.vel = { x: body.velocity.x, y: body.velocity.y };
+      }
+
+      for (const { piece1, piece2, nx, ny, impulse } of stepContacts) {
+        applyContactFriction(piece1, piece2, nx, ny, impulse);
+      }
+
+      const isStillMoving = settlePieces(balls, field, dt);
+      const events = stepEvents;
+
+      events.push(...findGoalAreaEntries(state.balls, balls, goalAreas));
+
+      if (scoredGoal) {
+        events.push({ type: 'goal', team: scoredGoal.scoringTeam, side: scoredGoal.side });
+      }
+
+      if (!isStillMoving) {
+        events.push({ type: 'settled' });
+      }
+
+      return {
+        state: { ...state, balls, isMoving: isStillMoving },
+        events
+      };
+    },
+
+    reset() {
+      clearWorld();
+    },
+
+    destroy() {
+      Events.off(engine, 'collisionStart', handleCollisionStart);
+      clearWorld();
+      Engine.clear(engine);
+    }
+  };
+};
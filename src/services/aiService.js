@@ -0,0 +1,73 @@
+// AI worker client.
+// Starts the AI worker on first use and keeps one search running at a time:
+// asking for a move cancels the one before it. Callbacks of a cancelled
+// search are never called.
+
+// Worker instance
+let worker = null;
+let nextSearchId = 1;
+// Search in progress { id, onProgress, onMove, onError }
+let pending = null;
+
+const handleMessage = ({ data }) => {
+  if (!pending || data.id !== pending.id) return;
+
+  const search = pending;
+  switch (data.type) {
+    case 'progress':
+      if (search.onProgress) search.onProgress(data.progress, data.evaluated);
+      break;
+    case 'move':
+      pending = null;
+      search.onMove(data.move);
+      break;
+    case 'error':
+      pending = null;
+      console.error('AI search failed:', data.message);
+      if (search.onError) search.onError(new Error(data.message));
+      break;
+    default:
+      break;
+  }
+};
+
+// The worker failed to load, crashed or sent a message that can't be read:
+// the search in progress fails, and the next one starts a fresh worker
+const handleWorkerError = (event) => {
+  event.preventDefault();
+  worker.terminate();
+  worker = null;
+
+  const search = pending;
+  pending = null;
+  const message = event.message || 'The AI worker stopped';
+  console.error('AI worker failed:', message);
+  if (search && search.onError) search.onError(new Error(message));
+};
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('../ai/aiWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = handleMessage;
+    worker.onerror = handleWorkerError;
+    worker.onmessageerror = handleWorkerError;
+  }
+  return worker;
+};
+
+// Plan a move for the AI team; onMove gets { team, pieceId, angle, power, spin }, or null
+export const requestAIMove = (state, team, aiDifficulty, { onProgress, onMove, onError }) => {
+  cancelAIMove();
+
+  const id = nextSearchId++;
+  pending = { id, onProgress, onMove, onError };
+  getWorker().postMessage({ type: 'search', id, state, team, aiDifficulty });
+};
+
+// Abandon the search in progress, if any
+export const cancelAIMove = () => {
+  if (pending) {
+    getWorker().postMessage({ type: 'cancel', id: pending.id });
+    pending = null;
+  }
+};
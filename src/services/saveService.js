@@ -0,0 +1,219 @@
+import { getArena } from '../arenas';
+import { AI_PROFILES, DEFAULT_AI_DIFFICULTY, SAVE_SLOT_COUNT } from '../constants';
+
+// Saved local matches, sandbox positions and the chosen AI difficulty.
+// Each slot in localStorage holds one match: its game state (with the rules
+// inside), the AI difficulty and the team the human plays, the turn history
+// used for takebacks and the replay log. The field is not stored - it is
+// rebuilt from the arena id - so a save stays small however long the match
+// runs.
+
+const SAVE_KEY_PREFIX = 'soccer-stars-save-';
+const SAVE_VERSION = 2;
+
+// Upgrades of older saves, by the version they upgrade from
+const SAVE_MIGRATIONS = {
+  // Version 1 saves are from before the human could play blue
+  1: (save) => ({ ...save, version: 2, humanTeam: 1 })
+};
+
+/**
+ * Bring a save up to the current version
+ * @param {Object} save - Save as read from localStorage
+ * @returns {Object|null} Current save, or null if its version is unknown
+ */
+const migrateSave = (save) => {
+  let current = save;
+  while (current.version !== SAVE_VERSION) {
+    const migrate = SAVE_MIGRATIONS[current.version];
+    if (!migrate) return null;
+    current = migrate(current);
+  }
+  return current;
+};
+
+const getSaveKey = (slot) => `${SAVE_KEY_PREFIX}${slot}`;
+
+// Game state without its field
+const packState = ({ field, ...state }) => ({ ...state, arenaId: field.id });
+
+// Game state with its field put back
+const unpackState = ({ arenaId, ...state }) => ({ ...state, field: getArena(arenaId) });
+
+/**
+ * Save a match in a slot
+ *
+ * @param {Number} slot - Save slot, from 0 to SAVE_SLOT_COUNT - 1
+ * @param {Object} match - { state, history, replay, aiDifficulty, humanTeam }
+ * @returns {Boolean} True if the match was saved
+ */
+export const saveMatch = (slot, { state, history, replay, aiDifficulty, humanTeam }) => {
+  const save = {
+    version: SAVE_VERSION,
+    savedAt: Date.now(),
+    aiDifficulty,
+    humanTeam,
+    state: packState(state),
+    history: history.map(packState),
+    replay
+  };
+
+  try {
+    localStorage.setItem(getSaveKey(slot), JSON.stringify(save));
+    return true;
+  } catch (error) {
+    console.warn(`Could not save the match in slot ${slot}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Load the match saved in a slot
+ *
+ * @param {Number} slot - Save slot
+ * @returns {Object|null} { slot, savedAt, aiDifficulty, humanTeam, state,
+ *   history, replay }, or null if the slot is empty or its save can't be read
+ */
+export const loadMatch = (slot) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(getSaveKey(slot)));
+    const save = stored && migrateSave(stored);
+    if (!save) return null;
+
+    return {
+      slot,
+      savedAt: save.savedAt,
+      aiDifficulty: save.aiDifficulty,
+      humanTeam: save.humanTeam,
+      state: unpackState(save.state),
+      history: save.history.map(unpackState),
+      replay: save.replay
+    };
+  } catch (error) {
+    console.warn(`Could not read the match saved in slot ${slot}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Delete the match saved in a slot
+ * @param {Number} slot - Save slot
+ */
+export const deleteSave = (slot) => {
+  try {
+    localStorage.removeItem(getSaveKey(slot));
+  } catch (error) {
+    console.warn(`Could not delete the match saved in slot ${slot}:`, error);
+  }
+};
+
+/**
+ * Every saved match, for the menu
+ * @returns {Array} Saves from loadMatch, newest first
+ */
+export const listSaves = () => {
+  const saves = [];
+  for (let slot = 0; slot < SAVE_SLOT_COUNT; slot++) {
+    const save = loadMatch(slot);
+    if (save) saves.push(save);
+  }
+  return saves.sort((a, b) => b.savedAt - a.savedAt);
+};
+
+/**
+ * Slot for a new match: the first empty one, otherwise the one saved
+ * longest ago
+ * @returns {Number} Save slot
+ */
+export const pickSaveSlot = () => {
+  const saves = listSaves();
+  for (let slot = 0; slot < SAVE_SLOT_COUNT; slot++) {
+    if (!saves.some(save => save.slot === slot)) return slot;
+  }
+  return saves[saves.length - 1].slot;
+};
+
+// Sandbox positions are kept together under one key, by name
+
+const POSITIONS_KEY = 'soccer-stars-positions';
+
+/**
+ * Saved sandbox positions
+ * @returns {Array} { name, savedAt, position }, newest first
+ */
+export const listPositions = () => {
+  try {
+    const positions = JSON.parse(localStorage.getItem(POSITIONS_KEY));
+    return Array.isArray(positions) ? positions : [];
+  } catch (error) {
+    console.warn('Could not read the saved positions:', error);
+    return [];
+  }
+};
+
+/**
+ * Save a sandbox position, replacing any with the same name
+ *
+ * @param {String} name - Name of the position
+ * @param {Object} position - Position from getSandboxPosition
+ * @returns {Boolean} True if the position was saved
+ */
+export const savePosition = (name, position) => {
+  const positions = [
+    { name, savedAt: Date.now(), position },
+    ...listPositions().filter(saved => saved.name !== name)
+  ];
+
+  try {
+    localStorage.setItem(POSITIONS_KEY, JSON.stringify(positions));
+    return true;
+  } catch (error) {
+    console.warn(`Could not save the position "${name}":`, error);
+    return false;
+  }
+};
+
+/**
+ * Delete a saved sandbox position
+ * @param {String} name - Name of the position
+ */
+export const deletePosition = (name) => {
+  try {
+    localStorage.setItem(
+      POSITIONS_KEY,
+      JSON.stringify(listPositions().filter(saved => saved.name !== name))
+    );
+  } catch (error) {
+    console.warn(`Could not delete the position "${name}":`, error);
+  }
+};
+
+// The AI difficulty picked in the menu is remembered between visits
+
+const AI_DIFFICULTY_KEY = 'soccer-stars-ai-difficulty';
+
+/**
+ * AI difficulty picked last time
+ * @returns {String} AI difficulty level; the default if none was picked
+ */
+export const loadAiDifficulty = () => {
+  try {
+    const aiDifficulty = localStorage.getItem(AI_DIFFICULTY_KEY);
+    return aiDifficulty in AI_PROFILES ? aiDifficulty : DEFAULT_AI_DIFFICULTY;
+  } catch (error) {
+    console.warn('Could not read the AI difficulty:', error);
+    return DEFAULT_AI_DIFFICULTY;
+  }
+};
+
+/**
+ * Remember the AI difficulty picked in the menu
+ * @param {String} aiDifficulty - AI difficulty level
+ */
+export const saveAiDifficulty = (aiDifficulty) => {
+  try {
+    localStorage.setItem(AI_DIFFICULTY_KEY, aiDifficulty);
+  } catch (error) {
+    console.warn('Could not save the AI difficulty:', error);
+  }
+};
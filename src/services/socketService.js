@@ -64,10 +64,11 @@ export const registerCallbacks = (newCallbacks) => {
   }
 };
 
-// Matchmaking and room management
-export const joinMatchmaking = () => {
+// Matchmaking and room management; players are matched with someone who
+// asked for the same match rules
+export const joinMatchmaking = (rules) => {
   if (socket) {
-    socket.emit('joinMatchmaking');
+    socket.emit('joinMatchmaking', { rules });
   }
 };
 
@@ -78,9 +79,9 @@ export const leaveMatchmaking = () => {
 };
 
 // Room management (manual room creation/joining)
-export const createRoom = () => {
+export const createRoom = (rules) => {
   if (socket) {
-    socket.emit('createRoom');
+    socket.emit('createRoom', { rules });
   }
 };
 
@@ -103,21 +104,31 @@ export const setPlayerReady = (roomId) => {
   }
 };
 
+// The server validates and resolves the move, then broadcasts `shotResolved`
 export const sendGameMove = (roomId, move) => {
   if (socket) {
     socket.emit('gameMove', { roomId, move });
   }
 };
 
-export const updateGameState = (roomId, gameState) => {
+// Ends the goal replay for everyone in the room; the server answers with `goalReplaySkipped`
+export const skipGoalReplay = (roomId) => {
   if (socket) {
-    socket.emit('gameStateUpdate', { roomId, gameState });
+    socket.emit('skipGoalReplay', { roomId });
   }
 };
 
-export const sendGameOver = (roomId, winner) => {
+// Ask the opponent to allow a takeback; the server answers with `takebackRequested` or `takebackRejected`
+export const requestTakeback = (roomId) => {
   if (socket) {
-    socket.emit('gameOver', { roomId, winner });
+    socket.emit('requestTakeback', { roomId });
+  }
+};
+
+// Accept or decline the opponent's takeback request
+export const answerTakeback = (roomId, accept) => {
+  if (socket) {
+    socket.emit('answerTakeback', { roomId, accept });
   }
 };
 
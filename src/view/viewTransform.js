@@ -0,0 +1,82 @@
+import { MAX_VIEW_SCALE } from '../constants.js';
+
+// Mapping between world coordinates and the screen.
+// The game state, physics and AI all work in world units taken from the
+// arena definition; only the renderer and pointer input know about pixels.
+// The board is drawn at world size and scaled as a whole to fit the screen.
+
+/**
+ * Distance the pitch is drawn down inside the board, so the goal boxes can
+ * stick out above and below it
+ * @param {Object} field - Field description
+ * @returns {Number} Offset in world units
+ */
+export const getPitchOffset = (field) => Math.max(0, ...field.goals.map(goal => goal.depth));
+
+/**
+ * Fit the board into the space available on screen
+ *
+ * @param {Object} board - Board size in world units {width, height}
+ * @param {Object} available - Space on screen in pixels {width, height}
+ * @param {Object} origin - Where world (0, 0) sits on the board, in world units
+ * @returns {Object} View transform { scale, origin, width, height } - width
+ *   and height are the board size on screen
+ */
+export const createViewTransform = (board, available, origin = { x: 0, y: 0 }) => {
+  const fit = Math.min(available.width / board.width, available.height / board.height);
+  const scale = Math.max(0.1, Math.min(MAX_VIEW_SCALE, fit));
+
+  return {
+    scale,
+    origin,
+    width: board.width * scale,
+    height: board.height * scale
+  };
+};
+
+/**
+ * Convert a pointer position into world coordinates
+ *
+ * @param {Object} view - View transform
+ * @param {Object} point - Pointer position in client pixels {x, y}
+ * @param {Object} rect - Bounding client rect of the scaled board
+ * @returns {Object} Position in world units {x, y}
+ */
+export const screenToWorld = (view, point, rect) => ({
+  x: (point.x - rect.left) / view.scale - view.origin.x,
+  y: (point.y - rect.top) / view.scale - view.origin.y
+});
+
+/**
+ * Convert a world position into pixels on the scaled board
+ *
+ * @param {Object} view - View transform
+ * @param {Object} point - Position in world units {x, y}
+ * @returns {Object} Position in pixels from the board's top left corner {x, y}
+ */
+export const worldToScreen = (view, point) => ({
+  x: (point.x + view.origin.x) * view.scale,
+  y: (point.y + view.origin.y) * view.scale
+});
+
+/**
+ * Zoom in on a point of the board, keeping the view inside the board
+ *
+ * @param {Object} board - Board size in world units {width, height}
+ * @param {Object} target - Point to center on, in board units {x, y}
+ * @param {Number} zoom - Zoom factor, 1 or more
+ * @returns {Object} { x, y, zoom } - board contents are drawn translated by
+ *   (x, y) and scaled by zoom from the top left corner
+ */
+export const getFollowCam = (board, target, zoom) => {
+  const halfWidth = board.width / (2 * zoom);
+  const halfHeight = board.height / (2 * zoom);
+  const centerX = Math.min(board.width - halfWidth, Math.max(halfWidth, target.x));
+  const centerY = Math.min(board.height - halfHeight, Math.max(halfHeight, target.y));
+
+  return {
+    x: board.width / 2 - centerX * zoom,
+    y: board.height / 2 - centerY * zoom,
+    zoom
+  };
+};
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { initialGameState } from '../src/game/gameState.js';
+import { applyShot, simulateToRest } from '../src/physics/engine.js';
+
+// The physics engine runs outside the browser: these checks step shots
+// with it directly.
+
+const shoot = (shot) => simulateToRest(applyShot(initialGameState(), shot));
+
+test('the same shot plays out the same every time', () => {
+  const shot = { pieceId: 'team1-player2', direction: { x: 0.3, y: -0.95 }, power: 25, spin: 0.2 };
+  const first = shoot(shot);
+  const second = shoot(shot);
+
+  assert.deepEqual(second.state, first.state);
+  assert.deepEqual(second.events, first.events);
+  assert.equal(second.steps, first.steps);
+});
+
+test('a shot reports its contacts and ends settled', () => {
+  const { events } = shoot({ pieceId: 'team1-player2', direction: { x: 0, y: -1 }, power: 30 });
+  const types = new Set(events.map(event => event.type));
+
+  assert.ok(types.has('collision'), 'the striker hits the ball');
+  assert.ok(types.has('wallBounce') || types.has('goal'), 'the ball reaches a wall or a goal');
+  assert.equal(events[events.length - 1].type, 'settled');
+});
+
+test('a very fast piece does not pass through a wall', () => {
+  const state = initialGameState();
+  const { field } = state;
+  const { state: rest } = simulateToRest(
+    applyShot(state, { pieceId: 'team1-player1', direction: { x: 1, y: 0 }, power: 500 })
+  );
+  const piece = rest.balls.find(ball => ball.id === 'team1-player1');
+
+  assert.ok(piece.pos.x > 0 && piece.pos.x < field.width, `x ${piece.pos.x} is on the field`);
+  assert.ok(piece.pos.y > 0 && piece.pos.y < field.height, `y ${piece.pos.y} is on the field`);
+});